@@ -0,0 +1,46 @@
+import _ from 'lodash';
+
+/**
+ * Parse a comma-separated list of Telegram user IDs (e.g. the `ADMIN_IDS` env var).
+ *
+ * @param {string} [value] - Comma-separated IDs.
+ * @returns {string[]} Valid numeric IDs as strings.
+ */
+export function parseIdList(value) {
+  return _.uniq(
+    (value || '')
+      .split(',')
+      .map((id) => id.trim())
+      .filter((id) => /^-?\d+$/.test(id))
+  );
+}
+
+/**
+ * Parse the arguments of `/ban`-like commands: a user ID or @username, then an optional reason.
+ *
+ * @param {string} [payload] - Command arguments.
+ * @returns {{target: string, reason: string|null}|null} Parsed target, or null when missing.
+ */
+export function parseUserTarget(payload) {
+  const match = /^\s*(-?\d+|@\w+)(?:\s+([\s\S]*))?$/.exec(payload || '');
+  if (!match) return null;
+  return { target: match[1], reason: match[2]?.trim() || null };
+}
+
+/**
+ * Resolve a user ID or @username to a stored user ID. Usernames are looked up
+ * in the user info saved on items, since Telegram can't resolve them for bots.
+ *
+ * @param {Object} users - Users map from storage (`db.data.users`).
+ * @param {string} target - User ID or @username.
+ * @returns {string|null} User ID or null when the username is unknown.
+ */
+export function resolveUserId(users, target) {
+  if (/^-?\d+$/.test(target)) return target;
+  const username = target.replace(/^@/, '').toLowerCase();
+  for (const [userId, user] of Object.entries(users || {})) {
+    const items = [...(user.needs || []), ...(user.resources || [])];
+    if (items.some((item) => item.user?.username?.toLowerCase() === username)) return userId;
+  }
+  return null;
+}
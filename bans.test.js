@@ -0,0 +1,44 @@
+import assert from 'assert';
+import { describe, it } from 'node:test';
+import { parseIdList, parseUserTarget, resolveUserId } from './bans.js';
+
+describe('bans', () => {
+  describe('parseIdList', () => {
+    it('parses and deduplicates numeric ids', () => {
+      assert.deepStrictEqual(parseIdList(' 123, abc,456,123, -100'), ['123', '456', '-100']);
+    });
+
+    it('returns empty list for empty value', () => {
+      assert.deepStrictEqual(parseIdList(undefined), []);
+    });
+  });
+
+  describe('parseUserTarget', () => {
+    it('parses id or username with optional reason', () => {
+      assert.deepStrictEqual(parseUserTarget('123 spam links'), { target: '123', reason: 'spam links' });
+      assert.deepStrictEqual(parseUserTarget('@spammer'), { target: '@spammer', reason: null });
+    });
+
+    it('returns null without target', () => {
+      assert.strictEqual(parseUserTarget(''), null);
+      assert.strictEqual(parseUserTarget('spammer'), null);
+    });
+  });
+
+  describe('resolveUserId', () => {
+    const users = {
+      1: { needs: [{ user: { id: 1, username: 'Alice' } }], resources: [] },
+      2: { needs: [], resources: [{ user: { id: 2, username: 'bob' } }] },
+    };
+
+    it('returns numeric ids as is', () => {
+      assert.strictEqual(resolveUserId(users, '42'), '42');
+    });
+
+    it('finds usernames stored on items case-insensitively', () => {
+      assert.strictEqual(resolveUserId(users, '@alice'), '1');
+      assert.strictEqual(resolveUserId(users, '@bob'), '2');
+      assert.strictEqual(resolveUserId(users, '@carol'), null);
+    });
+  });
+});
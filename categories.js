@@ -0,0 +1,57 @@
+import _ from 'lodash';
+
+// Default category taxonomy; ids are used as hashtags and locale keys
+export const DEFAULT_CATEGORIES = [
+  'food',
+  'housing',
+  'transport',
+  'clothes',
+  'furniture',
+  'electronics',
+  'skills',
+  'services',
+  'other',
+];
+
+/**
+ * Parse a comma-separated category list (e.g. from the `CATEGORIES` env var).
+ *
+ * @param {string} [value] - Comma-separated category ids.
+ * @returns {string[]} Category ids, or the default taxonomy when empty.
+ */
+export function parseCategories(value) {
+  const ids = _.uniq(
+    (value || '')
+      .split(',')
+      .map((id) => id.trim().toLowerCase())
+      .filter((id) => /^[\p{L}\p{N}_]+$/u.test(id))
+  );
+  return ids.length ? ids : DEFAULT_CATEGORIES;
+}
+
+/**
+ * Find the first hashtag in a description that names a known category.
+ *
+ * @param {string} [description] - Item description.
+ * @param {string[]} categories - Known category ids.
+ * @returns {string|null} Category id or null.
+ */
+export function detectCategory(description, categories) {
+  if (!description) return null;
+  for (const match of description.matchAll(/#([\p{L}\p{N}_]+)/gu)) {
+    const tag = match[1].toLowerCase();
+    if (categories.includes(tag)) return tag;
+  }
+  return null;
+}
+
+/**
+ * Build the hashtag line for a channel post, e.g. `#need #food`.
+ *
+ * @param {'need'|'resource'} type - Item type.
+ * @param {string} [category] - Category id.
+ * @returns {string} Space-separated hashtags.
+ */
+export function buildHashtags(type, category) {
+  return category ? `#${type} #${category}` : `#${type}`;
+}
@@ -0,0 +1,37 @@
+import assert from 'assert';
+import { describe, it } from 'node:test';
+import { DEFAULT_CATEGORIES, parseCategories, detectCategory, buildHashtags } from './categories.js';
+
+describe('categories', () => {
+  describe('parseCategories', () => {
+    it('returns default taxonomy for empty value', () => {
+      assert.deepStrictEqual(parseCategories(undefined), DEFAULT_CATEGORIES);
+      assert.deepStrictEqual(parseCategories(' , '), DEFAULT_CATEGORIES);
+    });
+
+    it('parses, normalizes and deduplicates ids', () => {
+      assert.deepStrictEqual(parseCategories('Food, housing,food, bad id,'), ['food', 'housing']);
+    });
+  });
+
+  describe('detectCategory', () => {
+    it('returns first known hashtag', () => {
+      assert.strictEqual(detectCategory('Apples #fresh #Food #housing', DEFAULT_CATEGORIES), 'food');
+    });
+
+    it('returns null without known hashtags', () => {
+      assert.strictEqual(detectCategory('Apples #fresh', DEFAULT_CATEGORIES), null);
+      assert.strictEqual(detectCategory(undefined, DEFAULT_CATEGORIES), null);
+    });
+  });
+
+  describe('buildHashtags', () => {
+    it('includes type and category', () => {
+      assert.strictEqual(buildHashtags('need', 'food'), '#need #food');
+    });
+
+    it('includes only type without category', () => {
+      assert.strictEqual(buildHashtags('resource'), '#resource');
+    });
+  });
+});
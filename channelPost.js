@@ -0,0 +1,58 @@
+import _ from 'lodash';
+import { getItemStatus } from './itemStatus.js';
+import { renderTemplate } from './postTemplate.js';
+
+/**
+ * Render the footer of a channel post from the `channelFooter` template. Anonymous
+ * items never show their owner: the author line says to contact the author via
+ * the bot and no mention reaches the template.
+ *
+ * @param {Object} options
+ * @param {'need'|'resource'} options.type - Type of the item.
+ * @param {Object} options.item - The posted item.
+ * @param {function(string): string} options.translate - Message of a locale key in the channel language.
+ * @param {function(Object): string} options.mention - Mention (HTML) of the stored owner.
+ * @param {Object<string, string>} [options.vars] - Other placeholder values (type, status, area…).
+ * @returns {string} Footer text (HTML).
+ */
+export function renderChannelFooter({ type, item, translate, mention, vars = {} }) {
+  const all = { ...vars, mention: item.anonymous ? '' : mention(item.user) };
+  all.author = item.anonymous
+    ? translate(`channelAnonymous_${type}`)
+    : renderTemplate(translate(`channelAuthor_${type}`), all);
+  return renderTemplate(translate('channelFooter'), all);
+}
+
+/**
+ * Describe the deep link buttons of an item: respond (Contact author for anonymous
+ * items) and report when reports are enabled. Links carry only the item guid,
+ * the bot resolves the owner.
+ *
+ * @param {'need'|'resource'} type - Type of the item.
+ * @param {Object} item - Item with a guid.
+ * @param {Object} [options]
+ * @param {boolean} [options.reports=false] - Whether the Report button is shown.
+ * @returns {Array<{key: string, payload: string}>} Locale key of the label and /start payload of each button.
+ */
+export function getItemLinks(type, item, { reports = false } = {}) {
+  const links = [{ key: item.anonymous ? 'contactAuthorButton' : `respondButton_${type}`, payload: `respond_${item.guid}` }];
+  if (reports) links.push({ key: 'reportButton', payload: `report_${item.guid}` });
+  return links;
+}
+
+/**
+ * Find an item of a user by its channel post, as management buttons do. Items are
+ * stored under their owner, so anonymous items are found the same way although
+ * their posts don't show who that is.
+ *
+ * @param {Object} [user] - User data from storage.
+ * @param {'need'|'resource'} type - Type of the item.
+ * @param {number} channelMessageId - Id of the channel post.
+ * @param {Object} [options]
+ * @param {boolean} [options.includeClosed=true] - Whether closed items are found too.
+ * @returns {Object|undefined} The stored item.
+ */
+export function findItemByPost(user, type, channelMessageId, { includeClosed = true } = {}) {
+  return _.find(user?.[`${type}s`], (item) => item.channelMessageId === channelMessageId &&
+    (includeClosed || getItemStatus(item) !== 'closed'));
+}
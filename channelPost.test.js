@@ -0,0 +1,83 @@
+import assert from 'assert';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { describe, it } from 'node:test';
+import { loadLocales, formatMessage } from './i18n.js';
+import { renderChannelFooter, getItemLinks, findItemByPost } from './channelPost.js';
+
+const locales = loadLocales(path.join(path.dirname(fileURLToPath(import.meta.url)), 'locales'));
+const translate = (key) => formatMessage(locales.en[key], 'en');
+const mention = (user) => `<a href="tg://user?id=${user.id}">@${user.username}</a>`;
+
+describe('channelPost', () => {
+  const owner = { id: 42, username: 'owner', first_name: 'Olga' };
+  const item = { guid: '01890f2e-8b3a-7cc1-9a2b-3c4d5e6f7a8b', user: owner, description: 'Sofa' };
+
+  describe('renderChannelFooter', () => {
+    const vars = { status: 'Reserved', hashtags: '#resource' };
+
+    it('shows the owner of regular items', () => {
+      assert.strictEqual(
+        renderChannelFooter({ type: 'resource', item, translate, mention, vars }),
+        '<i>Resource provided by <a href="tg://user?id=42">@owner</a>.</i>\n<b>Reserved</b>\n#resource'
+      );
+    });
+
+    it('never mentions the owner of anonymous items', () => {
+      const footer = renderChannelFooter({ type: 'need', item: { ...item, anonymous: true }, translate, mention, vars });
+      assert.strictEqual(footer, '<i>Anonymous need, contact the author via the bot.</i>\n<b>Reserved</b>\n#resource');
+      assert.doesNotMatch(footer, /tg:\/\/user|42|owner|Olga/);
+    });
+
+    it('never mentions the owner of anonymous items in any language', () => {
+      for (const lang of Object.keys(locales)) {
+        const footer = renderChannelFooter({
+          type: 'resource',
+          item: { ...item, anonymous: true },
+          translate: (key) => formatMessage(locales[lang][key], lang),
+          mention,
+          vars: { mention: mention(owner) }
+        });
+        assert.doesNotMatch(footer, /tg:\/\/user|42|owner|Olga/, lang);
+      }
+    });
+  });
+
+  describe('getItemLinks', () => {
+    it('offers to respond and report', () => {
+      assert.deepStrictEqual(getItemLinks('need', item, { reports: true }), [
+        { key: 'respondButton_need', payload: `respond_${item.guid}` },
+        { key: 'reportButton', payload: `report_${item.guid}` },
+      ]);
+      assert.deepStrictEqual(getItemLinks('resource', item), [{ key: 'respondButton_resource', payload: `respond_${item.guid}` }]);
+    });
+
+    it('links anonymous items to the bot only', () => {
+      const links = getItemLinks('resource', { ...item, anonymous: true }, { reports: true });
+      assert.deepStrictEqual(links.map((link) => link.key), ['contactAuthorButton', 'reportButton']);
+      for (const { payload } of links) assert.doesNotMatch(payload, /42|owner/);
+    });
+  });
+
+  describe('findItemByPost', () => {
+    const user = {
+      needs: [
+        { ...item, anonymous: true, channelMessageId: 10 },
+        { guid: 'closed', anonymous: true, channelMessageId: 11, status: 'closed' },
+      ],
+      resources: [{ guid: 'other', channelMessageId: 10 }],
+    };
+
+    it('finds anonymous items of their stored owner', () => {
+      assert.strictEqual(findItemByPost(user, 'need', 10), user.needs[0]);
+      assert.strictEqual(findItemByPost(user, 'resource', 10), user.resources[0]);
+      assert.strictEqual(findItemByPost(user, 'need', 12), undefined);
+      assert.strictEqual(findItemByPost(undefined, 'need', 10), undefined);
+    });
+
+    it('skips closed items on request', () => {
+      assert.strictEqual(findItemByPost(user, 'need', 11), user.needs[1]);
+      assert.strictEqual(findItemByPost(user, 'need', 11, { includeClosed: false }), undefined);
+    });
+  });
+});
@@ -0,0 +1,80 @@
+import _ from 'lodash';
+import { getNearestCity } from './locations.js';
+
+// Item fields that routing rules can match on
+const ROUTE_FIELDS = ['category', 'city'];
+
+/**
+ * Parse channel routing rules (e.g. from the `CHANNEL_ROUTES` env var).
+ * Rules are comma-separated `<field>:<value>=<channel>` entries, where field
+ * is `category` or `city` (bundled city id), e.g.
+ * `category:food=@FoodChannel,city:moscow=@MoscowChannel`.
+ *
+ * @param {string} [value] - Comma-separated routing rules.
+ * @returns {Array<{field: string, value: string, channel: string}>} Valid rules in the given order.
+ */
+export function parseChannelRoutes(value) {
+  const routes = [];
+  for (const rule of (value || '').split(',')) {
+    const match = /^\s*(\w+):([\p{L}\p{N}_-]+)\s*=\s*(@\w+|-?\d+)\s*$/u.exec(rule);
+    if (!match || !ROUTE_FIELDS.includes(match[1].toLowerCase())) continue;
+    routes.push({ field: match[1].toLowerCase(), value: match[2].toLowerCase(), channel: match[3] });
+  }
+  return routes;
+}
+
+/**
+ * Parse languages of channel posts per channel (e.g. from the `CHANNEL_LANGUAGES` env var):
+ * comma-separated `<channel>=<language>` entries, e.g. `@CorrelationCenter=ru,-1001234567890=en`.
+ *
+ * @param {string} [value] - Comma-separated channel languages.
+ * @returns {Object<string, string>} Language codes by channel.
+ */
+export function parseChannelLanguages(value) {
+  const languages = {};
+  for (const entry of (value || '').split(',')) {
+    const match = /^\s*(@\w+|-?\d+)\s*=\s*([a-z]{2,3}(?:-[A-Za-z]+)?)\s*$/.exec(entry);
+    if (match) languages[match[1]] = match[2];
+  }
+  return languages;
+}
+
+/**
+ * Get the bundled city id of an item: the city picked by the author or the nearest one to its location.
+ *
+ * @param {Object} item - Need or resource.
+ * @returns {string|null} City id or null.
+ */
+export function getItemCity(item) {
+  if (!item.location) return null;
+  return item.location.city || getNearestCity(item.location)?.id || null;
+}
+
+/**
+ * Pick the channel for a new item: the first routing rule matching its category
+ * or city, the default channel otherwise.
+ *
+ * @param {Object} item - Need or resource.
+ * @param {Object} options
+ * @param {Array<{field: string, value: string, channel: string}>} options.routes - Parsed routing rules.
+ * @param {string} options.defaultChannel - Channel used when no rule matches.
+ * @returns {string} Channel username or chat ID.
+ */
+export function resolveChannel(item, { routes, defaultChannel }) {
+  const values = { category: item.category, city: getItemCity(item) };
+  const route = _.find(routes, ({ field, value }) => values[field]?.toLowerCase() === value);
+  return route ? route.channel : defaultChannel;
+}
+
+/**
+ * Build a link to a channel post, for public (@username) and private (-100…) channels.
+ *
+ * @param {string} channel - Channel username or chat ID.
+ * @param {number} msgId - Message ID of the post.
+ * @returns {string} Post link.
+ */
+export function getChannelPostLink(channel, msgId) {
+  const id = String(channel);
+  if (/^-100\d+$/.test(id)) return `https://t.me/c/${id.slice(4)}/${msgId}`;
+  return `https://t.me/${id.replace(/^@/, '')}/${msgId}`;
+}
@@ -0,0 +1,60 @@
+import assert from 'assert';
+import { describe, it } from 'node:test';
+import { parseChannelRoutes, parseChannelLanguages, getItemCity, resolveChannel, getChannelPostLink } from './channels.js';
+
+describe('channels', () => {
+  describe('parseChannelRoutes', () => {
+    it('parses category and city rules in order', () => {
+      assert.deepStrictEqual(parseChannelRoutes('category:Food=@FoodChannel, city:moscow = -1001234567890'), [
+        { field: 'category', value: 'food', channel: '@FoodChannel' },
+        { field: 'city', value: 'moscow', channel: '-1001234567890' },
+      ]);
+    });
+
+    it('skips malformed rules and unknown fields', () => {
+      assert.deepStrictEqual(parseChannelRoutes('food=@FoodChannel,color:red=@Red,city:kazan=Kazan'), []);
+      assert.deepStrictEqual(parseChannelRoutes(undefined), []);
+    });
+  });
+
+  describe('parseChannelLanguages', () => {
+    it('parses languages by channel, skipping malformed entries', () => {
+      assert.deepStrictEqual(parseChannelLanguages('@RuChannel=ru, -1001234567890 = en,@Bad,Other=de'), {
+        '@RuChannel': 'ru',
+        '-1001234567890': 'en',
+      });
+      assert.deepStrictEqual(parseChannelLanguages(undefined), {});
+    });
+  });
+
+  describe('getItemCity', () => {
+    it('uses the picked city or the nearest one', () => {
+      assert.strictEqual(getItemCity({ location: { latitude: 0, longitude: 0, city: 'kazan' } }), 'kazan');
+      assert.strictEqual(getItemCity({ location: { latitude: 55.75, longitude: 37.62 } }), 'moscow');
+      assert.strictEqual(getItemCity({ location: { latitude: 0, longitude: 0 } }), null);
+      assert.strictEqual(getItemCity({}), null);
+    });
+  });
+
+  describe('resolveChannel', () => {
+    const routes = parseChannelRoutes('category:food=@FoodChannel,city:moscow=@MoscowChannel');
+    const options = { routes, defaultChannel: '@Main' };
+
+    it('uses the first matching rule', () => {
+      assert.strictEqual(resolveChannel({ category: 'food', location: { latitude: 55.75, longitude: 37.62 } }, options), '@FoodChannel');
+      assert.strictEqual(resolveChannel({ category: 'housing', location: { latitude: 55.75, longitude: 37.62 } }, options), '@MoscowChannel');
+    });
+
+    it('falls back to the default channel', () => {
+      assert.strictEqual(resolveChannel({ category: 'housing' }, options), '@Main');
+      assert.strictEqual(resolveChannel({}, { routes: [], defaultChannel: '@Main' }), '@Main');
+    });
+  });
+
+  describe('getChannelPostLink', () => {
+    it('links public and private channel posts', () => {
+      assert.strictEqual(getChannelPostLink('@CorrelationCenter', 5), 'https://t.me/CorrelationCenter/5');
+      assert.strictEqual(getChannelPostLink('-1001234567890', 5), 'https://t.me/c/1234567890/5');
+    });
+  });
+});
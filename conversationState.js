@@ -0,0 +1,98 @@
+import _ from 'lodash';
+
+/**
+ * Pending conversation steps (e.g. waiting for an item description), keyed by
+ * `userId_chatId`. Entries are persisted under `conversations` in storage so they
+ * survive restarts, and expire `ttlMs` after their last change.
+ *
+ * Entry shape: `{ action, category?, location?, expiresAt }`, where `action` is
+ * `'need'`, `'resource'`, `'nearby'` or `'edit_<type>_<channelMessageId>'`.
+ */
+class ConversationState {
+  /**
+   * @param {Object} options
+   * @param {Object} options.storage - Storage instance (see `storage.js`).
+   * @param {number} options.ttlMs - Lifetime of an entry after its last change.
+   * @param {function(): number} [options.now=Date.now] - Clock, used in tests.
+   */
+  constructor({ storage, ttlMs, now = Date.now }) {
+    this.storage = storage;
+    this.ttlMs = ttlMs;
+    this.now = now;
+    this.entries = {};
+  }
+
+  /**
+   * Restore entries saved before a restart, dropping expired ones.
+   *
+   * @returns {Promise<number>} Number of restored entries.
+   */
+  async load() {
+    await this.storage.readDB();
+    this.entries = _.cloneDeep(this.storage.db.data.conversations || {});
+    await this.persist();
+    return _.size(this.entries);
+  }
+
+  /**
+   * @param {string} key - Pending action key (`userId_chatId`).
+   * @returns {Object|null} Active entry or null when missing or expired.
+   */
+  get(key) {
+    const entry = this.entries[key];
+    return entry && !this.isExpired(entry) ? entry : null;
+  }
+
+  /**
+   * Start a new conversation step, replacing any previous entry for the key.
+   *
+   * @param {string} key - Pending action key.
+   * @param {string} action - Pending action.
+   * @returns {Promise<Object>} The new entry.
+   */
+  start(key, action) {
+    delete this.entries[key];
+    return this.set(key, { action });
+  }
+
+  /**
+   * Merge fields into the entry for the key and extend its lifetime.
+   * Fields set to `undefined` are removed.
+   *
+   * @param {string} key - Pending action key.
+   * @param {Object} fields - Fields to merge.
+   * @returns {Promise<Object>} The updated entry.
+   */
+  async set(key, fields) {
+    const entry = _.omitBy({ ...this.get(key), ...fields }, _.isUndefined);
+    entry.expiresAt = new Date(this.now() + this.ttlMs).toISOString();
+    this.entries[key] = entry;
+    await this.persist();
+    return entry;
+  }
+
+  /**
+   * Finish the conversation for the key.
+   *
+   * @param {string} key - Pending action key.
+   */
+  async delete(key) {
+    if (!this.entries[key]) return;
+    delete this.entries[key];
+    await this.persist();
+  }
+
+  isExpired(entry) {
+    return !(new Date(entry.expiresAt).getTime() > this.now());
+  }
+
+  async persist() {
+    // Expired entries are cleaned up on every write
+    this.entries = _.omitBy(this.entries, (entry) => this.isExpired(entry));
+    await this.storage.updateData((data) => {
+      data.conversations = _.cloneDeep(this.entries);
+    });
+  }
+}
+
+export default ConversationState;
@@ -0,0 +1,65 @@
+import assert from 'assert';
+import { describe, it } from 'node:test';
+import ConversationState from './conversationState.js';
+
+// In-memory stand-in with the storage methods used by ConversationState
+function createMemoryStorage(data = { users: {} }) {
+  return {
+    db: { data },
+    async readDB() {},
+    async updateData(fn) {
+      return fn(this.db.data);
+    }
+  };
+}
+
+describe('ConversationState', () => {
+  const ttlMs = 60 * 1000;
+
+  it('starts, merges and deletes entries, persisting them', async () => {
+    const storage = createMemoryStorage();
+    const state = new ConversationState({ storage, ttlMs, now: () => 0 });
+    await state.start('1_1', 'need');
+    await state.set('1_1', { category: 'food' });
+    assert.deepStrictEqual(state.get('1_1'), { action: 'need', category: 'food', expiresAt: new Date(ttlMs).toISOString() });
+    assert.deepStrictEqual(storage.db.data.conversations['1_1'].category, 'food');
+
+    await state.set('1_1', { category: undefined });
+    assert.strictEqual('category' in state.get('1_1'), false);
+
+    await state.delete('1_1');
+    assert.strictEqual(state.get('1_1'), null);
+    assert.deepStrictEqual(storage.db.data.conversations, {});
+  });
+
+  it('starting a new action drops previous fields', async () => {
+    const state = new ConversationState({ storage: createMemoryStorage(), ttlMs, now: () => 0 });
+    await state.set('1_1', { action: 'need', location: { latitude: 1, longitude: 2 } });
+    await state.start('1_1', 'resource');
+    assert.deepStrictEqual(Object.keys(state.get('1_1')), ['action', 'expiresAt']);
+  });
+
+  it('restores entries saved before a restart and drops expired ones', async () => {
+    let now = 0;
+    const storage = createMemoryStorage();
+    const before = new ConversationState({ storage, ttlMs, now: () => now });
+    await before.start('1_1', 'need');
+    now = 30 * 1000;
+    await before.start('2_2', 'resource');
+
+    now = 70 * 1000;
+    const after = new ConversationState({ storage, ttlMs, now: () => now });
+    assert.strictEqual(await after.load(), 1);
+    assert.strictEqual(after.get('1_1'), null);
+    assert.strictEqual(after.get('2_2').action, 'resource');
+    assert.deepStrictEqual(Object.keys(storage.db.data.conversations), ['2_2']);
+  });
+
+  it('expires entries without activity', async () => {
+    let now = 0;
+    const state = new ConversationState({ storage: createMemoryStorage(), ttlMs, now: () => now });
+    await state.start('1_1', 'need');
+    now = ttlMs;
+    assert.strictEqual(state.get('1_1'), null);
+  });
+});
@@ -0,0 +1,57 @@
+import _ from 'lodash';
+
+// Settings of groups that were never configured with /settings
+export const DEFAULT_GROUP_SETTINGS = {
+  // Show the reply keyboard with New need / New resource buttons
+  showKeyboard: true,
+  // Item types that can be created in the group
+  itemTypes: ['need', 'resource'],
+  // Channel for items created in the group, null to use the global channel routing
+  channel: null,
+  // Send confirmations to the group ('public') or to the author's private chat ('private')
+  confirmations: 'public',
+  // Language of bot messages in the group, null to use each user's language
+  language: null,
+};
+
+/**
+ * Get the settings of a group, filling unset fields with defaults.
+ *
+ * @param {Object} [groupSettings] - Settings of all groups from storage (`db.data.groupSettings`).
+ * @param {number|string} chatId - Telegram chat ID of the group.
+ * @returns {Object} Group settings.
+ */
+export function getGroupSettings(groupSettings, chatId) {
+  return { ...DEFAULT_GROUP_SETTINGS, ...groupSettings?.[String(chatId)] };
+}
+
+/**
+ * Toggle or cycle one group setting, as done by the /settings buttons.
+ * At least one item type always stays allowed.
+ *
+ * @param {Object} settings - Current group settings.
+ * @param {'showKeyboard'|'confirmations'|'language'|'need'|'resource'} key - Setting to change; item types toggle `itemTypes`.
+ * @param {Object} [options]
+ * @param {string[]} [options.languages=[]] - Available languages, cycled after the per-user default.
+ * @returns {Object} New group settings.
+ */
+export function toggleGroupSetting(settings, key, { languages = [] } = {}) {
+  switch (key) {
+    case 'showKeyboard':
+      return { ...settings, showKeyboard: !settings.showKeyboard };
+    case 'confirmations':
+      return { ...settings, confirmations: settings.confirmations === 'private' ? 'public' : 'private' };
+    case 'language': {
+      const options = [null, ...languages];
+      const next = options[(options.indexOf(settings.language) + 1) % options.length];
+      return { ...settings, language: next };
+    }
+    default: {
+      if (!DEFAULT_GROUP_SETTINGS.itemTypes.includes(key)) return settings;
+      const itemTypes = settings.itemTypes.includes(key)
+        ? _.without(settings.itemTypes, key)
+        : DEFAULT_GROUP_SETTINGS.itemTypes.filter((type) => type === key || settings.itemTypes.includes(type));
+      return itemTypes.length ? { ...settings, itemTypes } : settings;
+    }
+  }
+}
@@ -0,0 +1,46 @@
+import assert from 'assert';
+import { describe, it } from 'node:test';
+import { DEFAULT_GROUP_SETTINGS, getGroupSettings, toggleGroupSetting } from './groupSettings.js';
+
+describe('groupSettings', () => {
+  describe('getGroupSettings', () => {
+    it('fills unset fields with defaults', () => {
+      const settings = getGroupSettings({ '-100': { showKeyboard: false } }, -100);
+      assert.deepStrictEqual(settings, { ...DEFAULT_GROUP_SETTINGS, showKeyboard: false });
+    });
+
+    it('returns defaults for unknown groups', () => {
+      assert.deepStrictEqual(getGroupSettings(undefined, -100), DEFAULT_GROUP_SETTINGS);
+    });
+  });
+
+  describe('toggleGroupSetting', () => {
+    it('toggles keyboard and confirmations', () => {
+      assert.strictEqual(toggleGroupSetting(DEFAULT_GROUP_SETTINGS, 'showKeyboard').showKeyboard, false);
+      const settings = toggleGroupSetting(DEFAULT_GROUP_SETTINGS, 'confirmations');
+      assert.strictEqual(settings.confirmations, 'private');
+      assert.strictEqual(toggleGroupSetting(settings, 'confirmations').confirmations, 'public');
+    });
+
+    it('cycles languages after the per-user default', () => {
+      const languages = ['en', 'ru'];
+      let settings = toggleGroupSetting(DEFAULT_GROUP_SETTINGS, 'language', { languages });
+      assert.strictEqual(settings.language, 'en');
+      settings = toggleGroupSetting(settings, 'language', { languages });
+      assert.strictEqual(settings.language, 'ru');
+      assert.strictEqual(toggleGroupSetting(settings, 'language', { languages }).language, null);
+    });
+
+    it('toggles item types keeping their order and at least one type', () => {
+      const needsOnly = toggleGroupSetting(DEFAULT_GROUP_SETTINGS, 'resource');
+      assert.deepStrictEqual(needsOnly.itemTypes, ['need']);
+      assert.strictEqual(toggleGroupSetting(needsOnly, 'need'), needsOnly);
+      const resourcesOnly = { ...DEFAULT_GROUP_SETTINGS, itemTypes: ['resource'] };
+      assert.deepStrictEqual(toggleGroupSetting(resourcesOnly, 'need').itemTypes, ['need', 'resource']);
+    });
+
+    it('ignores unknown keys', () => {
+      assert.strictEqual(toggleGroupSetting(DEFAULT_GROUP_SETTINGS, 'unknown'), DEFAULT_GROUP_SETTINGS);
+    });
+  });
+});
@@ -0,0 +1,41 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Load every `<language>.json` file of a directory.
+ *
+ * @param {string} dir - Directory with locale files.
+ * @returns {Object<string, Object>} Locales by language code, sorted by code.
+ */
+export function loadLocales(dir) {
+  const locales = {};
+  for (const file of fs.readdirSync(dir).sort()) {
+    const match = /^([a-z]{2,3}(?:-[A-Za-z]+)?)\.json$/.exec(file);
+    if (!match) continue;
+    locales[match[1]] = JSON.parse(fs.readFileSync(path.join(dir, file)));
+  }
+  return locales;
+}
+
+/**
+ * Fill a message template with variables. Templates may be objects with plural
+ * forms keyed by `Intl.PluralRules` categories (`one`, `few`, `many`, `other`…),
+ * picked by the `count` variable.
+ *
+ * @param {string|Object<string, string>} template - Message or its plural forms.
+ * @param {string} lang - Language code used for plural rules.
+ * @param {Object} [vars={}] - Values for `{{name}}` placeholders.
+ * @returns {string} Message text.
+ */
+export function formatMessage(template, lang, vars = {}) {
+  let text = template;
+  if (text && typeof text === 'object') {
+    const form = new Intl.PluralRules(lang).select(Number(vars.count) || 0);
+    text = text[form] ?? text.other;
+  }
+  Object.keys(vars).forEach((k) => {
+    // A replacer function keeps `$&`, `$'` and the like in user input literal
+    text = text.replace(`{{${k}}}`, () => String(vars[k]));
+  });
+  return text;
+}
@@ -0,0 +1,43 @@
+import assert from 'assert';
+import { describe, it } from 'node:test';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { loadLocales, formatMessage } from './i18n.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+describe('i18n', () => {
+  describe('loadLocales', () => {
+    it('loads every locale file', () => {
+      const locales = loadLocales(path.join(__dirname, 'locales'));
+      assert.ok(locales.en && locales.ru);
+      for (const locale of Object.values(locales)) {
+        assert.strictEqual(typeof locale.languageName, 'string');
+      }
+    });
+  });
+
+  describe('formatMessage', () => {
+    it('replaces placeholders', () => {
+      assert.strictEqual(formatMessage('Hello, {{name}}!', 'en', { name: 'Bob' }), 'Hello, Bob!');
+    });
+
+    it('keeps replacement patterns in values literal', () => {
+      assert.strictEqual(formatMessage('Got "{{text}}".', 'en', { text: "$' and $& cost $$5" }), 'Got "$\' and $& cost $$5".');
+    });
+
+    it('picks plural forms by count', () => {
+      const en = { one: '{{count}} need', other: '{{count}} needs' };
+      assert.strictEqual(formatMessage(en, 'en', { count: 1 }), '1 need');
+      assert.strictEqual(formatMessage(en, 'en', { count: 5 }), '5 needs');
+      const ru = { one: '{{count}} потребность', few: '{{count}} потребности', many: '{{count}} потребностей' };
+      assert.strictEqual(formatMessage(ru, 'ru', { count: 21 }), '21 потребность');
+      assert.strictEqual(formatMessage(ru, 'ru', { count: 3 }), '3 потребности');
+      assert.strictEqual(formatMessage(ru, 'ru', { count: 11 }), '11 потребностей');
+    });
+
+    it('falls back to the other form', () => {
+      assert.strictEqual(formatMessage({ other: '{{count}} items' }, 'en', { count: 1 }), '1 items');
+    });
+  });
+});
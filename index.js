@@ -1,34 +1,69 @@
 import 'dotenv/config';
 import { fileURLToPath } from 'url';
-import fs from 'fs';
 import path from 'path';
 import { Telegraf, Markup } from 'telegraf';
-import Storage from './storage.js';
+import { createStorage, StorageConflictError } from './storage.js';
 import { v7 as uuidv7 } from 'uuid';
 import { buildUserMention } from './buildUserMention.js';
+import { findMatches, getMatchKey } from './matching.js';
+import { parseSearchQuery, searchItems, prioritizeOwner, paginate } from './search.js';
+import { getItemStatus, getStatusTransitions, canTransition, isPublished } from './itemStatus.js';
+import { getReminderAction } from './reminders.js';
+import { parseCategories, detectCategory, buildHashtags } from './categories.js';
+import { CITIES, findCity, getAreaName, findNearbyItems } from './locations.js';
+import ConversationState from './conversationState.js';
+import { parseIdList, parseUserTarget, resolveUserId } from './bans.js';
+import { addReport, hasReported, shouldAutoHide } from './reports.js';
+import { hasPendingResponse, addResponse, decideResponse } from './responses.js';
+import { parseStartPayload } from './startPayload.js';
+import { getRelaySessionId, startRelaySession, getCounterpartId, isRelayActive, endRelaySession, findActiveRelaySessions } from './relay.js';
+import { parseChannelRoutes, parseChannelLanguages, resolveChannel, getChannelPostLink } from './channels.js';
+import { getGroupSettings, toggleGroupSetting } from './groupSettings.js';
+import { DEFAULT_TIER_LIMITS, parseLimits, getUserTier, getEffectiveLimits, getLimitUsage, getExceededLimit } from './limits.js';
+import { loadLocales, formatMessage } from './i18n.js';
+import { renderChannelFooter, getItemLinks, findItemByPost } from './channelPost.js';
+import { applyItemEdit, getPostUpdate } from './itemEdit.js';
+import { SEND_METHODS, getMessageMedia, getItemMedia, buildInputMediaGroup, buildInlineMedia, getAlbumContent } from './media.js';
+import MediaGroupBuffer from './mediaGroupBuffer.js';
+import UpdateTracker from './updateTracker.js';
+import { parseWebhookConfig, cacheHealthCheck, createHealthHandler } from './webhook.js';
 import _ from 'lodash';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-// Load localization files
-const locales = {
-  en: JSON.parse(fs.readFileSync(path.join(__dirname, 'locales/en.json'))),
-  ru: JSON.parse(fs.readFileSync(path.join(__dirname, 'locales/ru.json'))),
-};
+// Load localization files, every locales/<language>.json is picked up
+const locales = loadLocales(path.join(__dirname, 'locales'));
+
+// Resolve the supported language for a context: the group language from /settings,
+// then the language chosen with /language, then the Telegram language
+function getLanguage(ctx) {
+  const groupLanguage = ctx.chat ? getChatSettings(ctx.chat).language : null;
+  if (locales[groupLanguage]) return groupLanguage;
+  const userLanguage = ctx.from.id ? storage.db.data?.users?.[String(ctx.from.id)]?.language : null;
+  if (locales[userLanguage]) return userLanguage;
+  return locales[ctx.from.language_code] ? ctx.from.language_code : 'en';
+}
 
 // Translation helper
 function t(ctx, key, vars = {}) {
-  const lang = locales[ctx.from.language_code] ? ctx.from.language_code : 'en';
-  let text = (locales[lang].messages && locales[lang].messages[key]) || locales[lang][key] || locales['en'].messages?.[key] || locales['en'][key] || key;
-  Object.keys(vars).forEach((k) => {
-    text = text.replace(`{{${k}}}`, vars[k]);
-  });
-  return text;
+  const lang = getLanguage(ctx);
+  const text = (locales[lang].messages && locales[lang].messages[key]) || locales[lang][key] || locales['en'].messages?.[key] || locales['en'][key] || key;
+  return formatMessage(text, lang, vars);
+}
+
+// Helper to get a message in all loaded languages, e.g. to match keyboard buttons
+function getAllTranslations(key) {
+  return _.uniq(Object.keys(locales).map((lang) => t({ from: { language_code: lang } }, key)));
+}
+
+// Helper to build a context for messages sent to another user in their language
+function getUserCtx(user) {
+  return { from: { id: user?.id, language_code: user?.language_code } };
 }
 
 // Initialize database
-const storage = new Storage();
+const storage = createStorage();
 await storage.initDB();
 
 /**
@@ -41,8 +76,9 @@ async function migrateUserMentions({ limit = Number(process.env.MIGRATE_LIMIT) |
   if (tracing) console.log(`migrateUserMentions: starting migration with limit=${limit}`);
   let migratedCount = 0;
   if (tracing) console.log('migrateUserMentions: reading database');
+  // Work on a copy: Telegram calls are made outside of storage updates, each change is stored afterwards
   await storage.readDB();
-  const users = storage.db.data.users || {};
+  const users = _.cloneDeep(storage.db.data.users || {});
   if (tracing) console.log(`migrateUserMentions: found ${Object.keys(users).length} users in DB`);
   outer: for (const [userId, user] of Object.entries(users)) {
     if (tracing) console.log(`migrateUserMentions: inspecting user ${userId}`);
@@ -96,32 +132,27 @@ async function migrateUserMentions({ limit = Number(process.env.MIGRATE_LIMIT) |
           continue;
         }
         // Build new content only when change detected
-        let newContent;
-        if (type === 'needs') {
-          if (tracing) console.log('migrateUserMentions:      building need content');
-          newContent = `${item.description}\n\n<i>Need of ${mention}.</i>`;
-        } else {
-          if (tracing) console.log('migrateUserMentions:      building resource content');
-          newContent = `${item.description}\n\n<i>Resource provided by ${mention}.</i>`;
-        }
+        if (tracing) console.log(`migrateUserMentions:      building content with ${mention}`);
+        const itemType = type === 'needs' ? 'need' : 'resource';
+        const newContent = buildChannelPost(itemType, item);
         // Now perform API call; treat 'message is not modified' as non-error
         try {
           if (tracing) console.log(`migrateUserMentions: editing message ${msgId}`);
-          if (item.fileId) {
+          if (hasCaption(item) && !item.descriptionMessageId) {
             await bot.telegram.editMessageCaption(
-              CHANNEL_USERNAME,
+              getItemChannel(item),
               msgId,
               undefined,
               newContent,
-              { parse_mode: 'HTML' }
+              { parse_mode: 'HTML', ...getChannelPostKeyboard(itemType, item) }
             );
           } else {
             await bot.telegram.editMessageText(
-              CHANNEL_USERNAME,
+              getItemChannel(item),
               msgId,
               undefined,
               newContent,
-              { parse_mode: 'HTML' }
+              { parse_mode: 'HTML', ...getChannelPostKeyboard(itemType, item) }
             );
           }
         } catch (err) {
@@ -134,9 +165,14 @@ async function migrateUserMentions({ limit = Number(process.env.MIGRATE_LIMIT) |
             continue;
           }
         }
-        // After successful API and DB change, set updatedAt and count
+        // After successful API call, store the changes and count
         const now = new Date().toISOString();
         item.updatedAt = now;
+        await updateStoredItem(userId, itemType, matchItem(item), (stored) => {
+          stored.user = item.user;
+          stored[roleField] = item[roleField];
+          stored.updatedAt = now;
+        });
         if (tracing) {
           console.log(`After migration for message ${msgId}:`);
           console.log(JSON.stringify(item, null, 2));
@@ -146,8 +182,6 @@ async function migrateUserMentions({ limit = Number(process.env.MIGRATE_LIMIT) |
     }
   }
   if (migratedCount > 0) {
-    if (tracing) console.log('migrateUserMentions: writing DB updates');
-    await storage.writeDB();
     console.log(`User mention migration: ${migratedCount} item(s) updated`);
   } else {
     console.log('User mention migration: no items updated');
@@ -193,46 +227,6 @@ async function deleteChannelMessage({ telegram, channel, msgId, tracing = false
   }
 }
 
-/**
- * Delete channel messages for a given unreachable user.
- * @param {Object} options
- * @param {number} options.userId - Telegram ID of the user whose messages should be deleted.
- * @param {boolean} [options.tracing=false] - Enable detailed tracing logs.
- */
-async function migrateDeleteUserChannelMessages({ userId, tracing = false } = {}) {
-  if (tracing) console.log(`migrateDeleteUserChannelMessages: starting for user ${userId}`);
-  await storage.readDB();
-  const user = storage.db.data.users?.[userId];
-  if (!user) {
-    if (tracing) console.log(`migrateDeleteUserChannelMessages: no data for user ${userId}`);
-    return;
-  }
-  let deletedCount = 0;
-  for (const type of ['needs', 'resources']) {
-    const items = user[type] || [];
-    const retained = [];
-    for (const item of items) {
-      const msgId = item.channelMessageId;
-      if (!msgId) {
-        // not posted to channel, keep
-        retained.push(item);
-        continue;
-      }
-      // Attempt deletion or marking as deleted
-      if (tracing) console.log(`migrateDeleteUserChannelMessages: deleting ${type} message ${msgId}`);
-      if (await deleteChannelMessage({ telegram: bot.telegram, channel: CHANNEL_USERNAME, msgId, tracing })) {
-        deletedCount++;
-      } else {
-        retained.push(item);
-      }
-    }
-    // replace items array with retained ones only
-    user[type] = retained;
-  }
-  await storage.writeDB();
-  console.log(`Deleted ${deletedCount} channel message(s) for user ${userId}`);
-}
-
 // Wrap bot initialization with comprehensive error handling for readonly property issue
 const bot = (() => {
   // Set up global error handler for unhandled exceptions during bot operations
@@ -262,14 +256,70 @@ const bot = (() => {
     process.exit(1);
   }
 })();
-const pendingActions = {}; // Structure: { "userId_chatId": action }
-const CHANNEL_USERNAME = '@CorrelationCenter';
-// Daily posting limits per user
-const DAILY_LIMITS = { need: 3, resource: 3 };
+// Updates being handled, so shutdown can wait for them
+const updates = new UpdateTracker();
+bot.use((ctx, next) => updates.track(next()));
+// Default channel for posts (@username or chat ID)
+const CHANNEL_USERNAME = process.env.CHANNEL_USERNAME || '@CorrelationCenter';
+// Rules sending items to other channels by category or city, see channels.js
+const CHANNEL_ROUTES = parseChannelRoutes(process.env.CHANNEL_ROUTES);
+// Language of channel posts, per channel in CHANNEL_LANGUAGES
+const CHANNEL_LANGUAGE = process.env.CHANNEL_LANGUAGE || 'en';
+const CHANNEL_LANGUAGES = parseChannelLanguages(process.env.CHANNEL_LANGUAGES);
+// Bot username used in explicit command mentions, taken from Telegram when not set
+const BOT_USERNAME = process.env.BOT_USERNAME?.replace(/^@/, '');
+// Category taxonomy (comma-separated ids), names are localized in locales/*.json
+const CATEGORIES = parseCategories(process.env.CATEGORIES);
+// Posting limits per trust tier (rolling windows), admins are unlimited
+const POST_LIMITS = {
+  // New accounts get stricter limits, so fresh accounts can't flood the channel
+  new: parseLimits(process.env.LIMITS_NEW || DEFAULT_TIER_LIMITS.new),
+  regular: parseLimits(process.env.LIMITS || DEFAULT_TIER_LIMITS.regular),
+  trusted: parseLimits(process.env.LIMITS_TRUSTED || DEFAULT_TIER_LIMITS.trusted)
+};
+// Days since the first post during which an account gets the limits of new accounts
+const NEW_ACCOUNT_DAYS = Number(process.env.NEW_ACCOUNT_DAYS ?? 7);
 // Delay (ms) before prompting user for description when pending action is set
 const PROMPT_DELAY_MS = Number(process.env.PROMPT_DELAY_MS) || 750;
+// Time (ms) to wait for more parts of an album before handling it as one message
+const MEDIA_GROUP_DELAY_MS = Number(process.env.MEDIA_GROUP_DELAY_MS) || 1000;
 // Feature flag to enable repost mode: forward original user message to channel and post metadata separately
 const ENABLE_REPOSTS = process.env.ENABLE_REPOSTS === 'true';
+// Max number of match candidates announced per new item
+const MATCH_LIMIT = Number(process.env.MATCH_LIMIT) || 3;
+// Number of search results shown per page
+const SEARCH_PAGE_SIZE = 5;
+// Number of inline query results returned per request
+const INLINE_PAGE_SIZE = 20;
+// Inactivity period (days) after which owners are asked whether an item is still relevant
+const REMIND_AFTER_DAYS = Number(process.env.REMIND_AFTER_DAYS) || 14;
+// Period (days) to wait for an answer to a reminder before the item is archived
+const REMIND_GRACE_DAYS = Number(process.env.REMIND_GRACE_DAYS) || 7;
+// How often (ms) stored items are checked for due reminders
+const REMINDER_CHECK_INTERVAL_MS = Number(process.env.REMINDER_CHECK_INTERVAL_MS) || 60 * 60 * 1000;
+// Radius (km) and max number of results for /nearby
+const NEARBY_RADIUS_KM = Number(process.env.NEARBY_RADIUS_KM) || 25;
+const NEARBY_LIMIT = 10;
+// Chat where new items are reviewed before publication; items are published directly when not set
+const MODERATION_CHAT_ID = process.env.MODERATION_CHAT_ID;
+// Context used to localize messages sent to the moderators chat
+const moderatorsCtx = { from: { language_code: process.env.MODERATION_LANGUAGE } };
+// Chat receiving reports on channel posts, the moderators chat by default (Report buttons are hidden when not set)
+const REPORTS_CHAT_ID = process.env.REPORTS_CHAT_ID || MODERATION_CHAT_ID;
+// Number of independent reports that hides a post until moderators decide (0 disables auto-hiding)
+const REPORT_HIDE_THRESHOLD = Number(process.env.REPORT_HIDE_THRESHOLD ?? 3);
+// Telegram IDs of users allowed to use admin commands (/ban, /unban, /banned)
+const ADMIN_IDS = parseIdList(process.env.ADMIN_IDS);
+// Minutes a pending action (e.g. waiting for a description) is kept without activity
+const CONVERSATION_TTL_MINUTES = Number(process.env.CONVERSATION_TTL_MINUTES) || 24 * 60;
+// Pending actions keyed by "userId_chatId", persisted so they survive restarts
+const conversations = new ConversationState({ storage, ttlMs: CONVERSATION_TTL_MINUTES * 60 * 1000 });
+// Webhook mode settings (WEBHOOK_URL, WEBHOOK_PATH, WEBHOOK_PORT, WEBHOOK_SECRET_TOKEN), long polling when not set
+const WEBHOOK = parseWebhookConfig(process.env);
+// Time (ms) to wait for updates being handled when shutting down
+const SHUTDOWN_TIMEOUT_MS = Number(process.env.SHUTDOWN_TIMEOUT_MS) || 10000;
+// Time (ms) a Telegram health check result is reused by /healthz and /readyz
+const HEALTH_CHECK_CACHE_MS = Number(process.env.HEALTH_CHECK_CACHE_MS) || 30000;
 // Verbose logging mode for debugging
 const VERBOSE = process.env.VERBOSE === 'true' || process.argv.includes('--verbose');
 
@@ -333,6 +383,15 @@ async function isOnlyBotInChat(ctx) {
   }
 }
 
+// Helper to get the bot username for explicit command mentions like /help@bot
+function getBotUsername() {
+  return BOT_USERNAME || bot.botInfo?.username;
+}
+// Helper to build a deep link opening the bot with a /start payload, see `parseStartPayload`
+function getStartLink(payload) {
+  return `https://t.me/${getBotUsername()}?start=${payload}`;
+}
+
 // Helper function to get all help/start/prompt messages in all languages
 function getAllBotMessageVariants() {
   const variants = new Set();
@@ -343,8 +402,8 @@ function getAllBotMessageVariants() {
         variants.add(message);
         // Always add a variant with both replacements
         const withMentions = message
-          .replace(/\/start/g, '/start@CorrelationCenterBot')
-          .replace(/\/help/g, '/help@CorrelationCenterBot');
+          .replace(/\/start/g, `/start@${getBotUsername()}`)
+          .replace(/\/help/g, `/help@${getBotUsername()}`);
         if (withMentions !== message) variants.add(withMentions);
       }
     }
@@ -391,60 +450,765 @@ function getBotPromptMessageType(msg, botId) {
   return null;
 }
 
-// Helper to list items for both needs and resources
-async function listItems(ctx, type) {
+// Helper to list items for both needs and resources, optionally filtered by category
+async function listItems(ctx, type, category = null) {
   if (ctx.chat.type !== 'private') return;
   const user = await storage.getUserData(ctx.from.id);
   const plural = `${type}s`;
-  const capitalized = type.charAt(0).toUpperCase() + type.slice(1);
   const capitalizedPlural = plural.charAt(0).toUpperCase() + plural.slice(1);
-  if (user[plural].length === 0) {
+  const items = category ? _.filter(user[plural], { category }) : user[plural];
+  if (items.length === 0) {
     return ctx.reply(t(ctx, `no${capitalizedPlural}`));
   }
-  for (let i = 0; i < user[plural].length; i++) {
-    const item = user[plural][i];
-    const createdAt = formatDate(item.createdAt);
-    const updatedAt = formatDate(item.updatedAt);
-    // Build delete (and optional bump) buttons, keyed by channelMessageId
-    const delId = item.channelMessageId;
-    const buttons = [
+  for (let i = 0; i < items.length; i++) {
+    const item = items[i];
+    await ctx.reply(
+      formatItemCard(ctx, item),
+      getItemKeyboard(ctx, type, item)
+    );
+  }
+}
+// Helper to render an item for its owner with localized timestamps and status
+function formatItemCard(ctx, item) {
+  let message = `${item.description}\n\n${t(ctx, 'createdAt', { date: formatDate(item.createdAt) })}`;
+  const status = getItemStatus(item);
+  if (status === 'closed') {
+    return `${message}\n${t(ctx, 'deletedAt', { date: formatDate(item.statusUpdatedAt) })}`;
+  }
+  if (item.updatedAt && item.updatedAt !== item.createdAt) {
+    message += `\n${t(ctx, 'updatedAt', { date: formatDate(item.updatedAt) })}`;
+  }
+  if (item.category) {
+    message += `\n${t(ctx, 'categoryLine', { category: getCategoryName(ctx, item.category) })}`;
+  }
+  if (item.location) {
+    message += `\n${t(ctx, 'locationLine', { area: getAreaName(item.location, getLanguage(ctx)) })}`;
+  }
+  if (item.anonymous) {
+    message += `\n${t(ctx, 'anonymousLine')}`;
+  }
+  if (status !== 'open') {
+    message += `\n${t(ctx, 'statusLine', { status: t(ctx, `status_${status}`) })}`;
+  }
+  if (status === 'rejected' && item.review?.reason) {
+    message += `\n${t(ctx, 'rejectReasonLine', { reason: item.review.reason })}`;
+  }
+  if (item.responses?.length) {
+    message += `\n\n${t(ctx, 'responsesHeader', { count: item.responses.length })}`;
+    for (const response of item.responses) {
+      message += `\n${t(ctx, 'responseLine', {
+        responder: getUserName(response.responder),
+        message: _.truncate(response.message, { length: 100 }),
+        status: t(ctx, `responseStatus_${response.status}`)
+      })}`;
+    }
+  }
+  return message;
+}
+// Helper to get a plain text name of a stored user
+function getUserName(user) {
+  return user?.username ? `@${user.username}` : user?.first_name || 'unknown';
+}
+// Helper to get the localized name of a category
+function getCategoryName(ctx, category) {
+  const lang = getLanguage(ctx);
+  return locales[lang].categories?.[category] || locales.en.categories?.[category] || category;
+}
+// Helper to resolve user input (id, #hashtag or localized name in any language) to a category id
+function resolveCategory(input) {
+  const normalized = (input || '').trim().replace(/^#/, '').toLowerCase();
+  if (!normalized) return null;
+  if (CATEGORIES.includes(normalized)) return normalized;
+  return _.find(CATEGORIES, (category) =>
+    Object.values(locales).some((locale) => locale.categories?.[category]?.toLowerCase() === normalized)
+  ) || null;
+}
+// Helper to check whether the item being created is posted anonymously: the choice made
+// with the prompt, or the user's default from /anonymous (from `user` when given, e.g. inside an update)
+function isAnonymousChoice(userId, conversation, user = storage.db.data.users?.[String(userId)]) {
+  return conversation?.anonymous ?? Boolean(user?.postAnonymously);
+}
+// Helper to build the category picker and the anonymity toggle shown with the description prompt
+function getPromptKeyboard(ctx, type, { category, anonymous } = {}) {
+  const buttons = CATEGORIES.map((name) => Markup.button.callback(
+    `${name === category ? '✓ ' : ''}${getCategoryName(ctx, name)}`,
+    `category_${type}_${name}`
+  ));
+  return Markup.inlineKeyboard([
+    ..._.chunk(buttons, 3),
+    [Markup.button.callback(`${anonymous ? '✓ ' : ''}${t(ctx, 'anonymousButton')}`, `anonymous_${type}`)]
+  ]);
+}
+// Helper to prompt for a description, offering the category picker and location attachment
+async function sendPrompt(ctx, type) {
+  if (!getChatSettings(ctx.chat).itemTypes.includes(type)) {
+    await conversations.delete(getPendingActionKey(ctx.from.id, ctx.chat.id));
+    return ctx.reply(t(ctx, 'itemTypeDisabled'));
+  }
+  const promptKey = `prompt${type.charAt(0).toUpperCase() + type.slice(1)}`;
+  const anonymous = isAnonymousChoice(ctx.from.id, conversations.get(getPendingActionKey(ctx.from.id, ctx.chat.id)));
+  return ctx.reply(`${t(ctx, promptKey)}\n\n${t(ctx, 'promptLocationHint')}`, getPromptKeyboard(ctx, type, { anonymous }));
+}
+// Helper to build management buttons for an item, keyed by channelMessageId
+function getItemKeyboard(ctx, type, item) {
+  const capitalized = type.charAt(0).toUpperCase() + type.slice(1);
+  const msgId = item.channelMessageId;
+  const status = getItemStatus(item);
+  const statusButtons = getStatusTransitions(status).map((target) =>
+    Markup.button.callback(t(ctx, `statusButton_${target}`), `status_${type}_${target}_${msgId}`)
+  );
+  // Items in moderation can't be managed until published
+  if (status === 'pending_review' || status === 'rejected') {
+    return Markup.inlineKeyboard([]);
+  }
+  // Items removed by moderators can't be reopened by their owners
+  if (isClosedByModerators(item)) {
+    return Markup.inlineKeyboard([]);
+  }
+  // Closed items are kept for history and can only be reopened
+  if (status === 'closed') {
+    return Markup.inlineKeyboard([statusButtons]);
+  }
+  const buttons = [
+    Markup.button.callback(
+      t(ctx, `delete${capitalized}Button`) || 'Delete',
+      `delete_${type}_${msgId}`
+    )
+  ];
+  const last = new Date(item.updatedAt || item.createdAt);
+  const ageMs = Date.now() - last.getTime();
+  if (msgId) {
+    buttons.push(
+      Markup.button.callback(t(ctx, 'editButton'), `edit_${type}_${msgId}`)
+    );
+  }
+  // Show bump only for open items older than 24 hours
+  if (status === 'open' && ageMs >= 24 * 60 * 60 * 1000 && msgId) {
+    buttons.push(
       Markup.button.callback(
-        t(ctx, `delete${capitalized}Button`) || 'Delete',
-        `delete_${type}_${delId}`
+        t(ctx, 'bumpButton') || 'Bump',
+        `bump_${type}_${msgId}`
       )
-    ];
-    const last = new Date(item.updatedAt || item.createdAt);
-    const ageMs = Date.now() - last.getTime();
-    // Show bump only if item is older than 24 hours, using channelMessageId
-    if (ageMs >= 24 * 60 * 60 * 1000 && item.channelMessageId) {
-      buttons.push(
-        Markup.button.callback(
-          t(ctx, 'bumpButton') || 'Bump',
-          `bump_${type}_${item.channelMessageId}`
-        )
+    );
+  }
+  const matchingButton = item.matchingMuted
+    ? Markup.button.callback(t(ctx, 'unmuteMatchingButton'), `unmute_${type}_${msgId}`)
+    : Markup.button.callback(t(ctx, 'muteMatchingButton'), `mute_${type}_${msgId}`);
+  return Markup.inlineKeyboard([buttons, statusButtons, [matchingButton]]);
+}
+// Helper to get the channel an item was posted to; items posted before routing went to the default channel
+function getItemChannel(item) {
+  return item.channel || CHANNEL_USERNAME;
+}
+// Helper to pick the channel for publishing an item: the one chosen by its group or the routing rules
+function getTargetChannel(item) {
+  return item.channel || resolveChannel(item, { routes: CHANNEL_ROUTES, defaultChannel: CHANNEL_USERNAME });
+}
+// Helper to build a link to the channel post of an item
+function getItemPostLink(item) {
+  return getChannelPostLink(getItemChannel(item), item.channelMessageId);
+}
+// Helper to render a match candidate line (HTML) for notifications
+function formatMatchCandidate(ctx, item) {
+  let line = `• ${_.escape(_.truncate(item.description, { length: 100 }))}`;
+  if (item.user && !item.anonymous) line += ` — ${buildUserMention({ user: item.user })}`;
+  if (item.channelMessageId) {
+    line += ` (<a href="${getItemPostLink(item)}">${t(ctx, 'openPost')}</a>)`;
+  }
+  return line;
+}
+/**
+ * Privately notify both owners about new need-resource candidates for an item.
+ * Each pair is persisted in `db.data.matches` so it is announced only once.
+ * @param {Object} options
+ * @param {Object} options.telegram - Telegram API client.
+ * @param {Object} options.item - The newly stored item.
+ * @param {'need'|'resource'} options.type - Type of the item.
+ * @param {number} options.ownerId - Telegram ID of the item owner.
+ */
+async function notifyMatches({ telegram, item, type, ownerId }) {
+  const { users, matches = {} } = storage.db.data;
+  const getKey = (other) => (type === 'need' ? getMatchKey(item.guid, other.guid) : getMatchKey(other.guid, item.guid));
+  const candidates = findMatches({ item, type, users, ownerId, limit: MATCH_LIMIT })
+    .filter(({ item: other }) => !matches[getKey(other)]);
+  if (!candidates.length) return;
+  const capitalized = type.charAt(0).toUpperCase() + type.slice(1);
+  const otherCapitalized = type === 'need' ? 'Resource' : 'Need';
+  const sendOptions = { parse_mode: 'HTML', disable_web_page_preview: true };
+  const ownerCtx = getUserCtx(item.user);
+  try {
+    await telegram.sendMessage(
+      ownerId,
+      t(ownerCtx, `matchesForNew${capitalized}`, {
+        description: _.escape(_.truncate(item.description, { length: 100 })),
+        candidates: candidates.map(({ item: other }) => formatMatchCandidate(ownerCtx, other)).join('\n')
+      }),
+      sendOptions
+    );
+  } catch (err) {
+    console.error(`Failed to notify user ${ownerId} about matches:`, err.message);
+  }
+  const timestamp = new Date().toISOString();
+  const announced = {};
+  for (const { userId, item: other, score } of candidates) {
+    const otherCtx = getUserCtx(other.user);
+    try {
+      await telegram.sendMessage(
+        userId,
+        t(otherCtx, `matchForExisting${otherCapitalized}`, {
+          description: _.escape(_.truncate(other.description, { length: 100 })),
+          candidate: formatMatchCandidate(otherCtx, item)
+        }),
+        sendOptions
       );
+    } catch (err) {
+      console.error(`Failed to notify user ${userId} about matches:`, err.message);
     }
-    // Localized creation and update timestamps
-    let message = `${item.description}\n\n${t(ctx, 'createdAt', { date: createdAt })}`;
-    if (item.updatedAt && item.updatedAt !== item.createdAt) {
-      message += `\n${t(ctx, 'updatedAt', { date: updatedAt })}`;
-    }
-    await ctx.reply(
-      message,
-      Markup.inlineKeyboard([buttons])
+    const [needGuid, resourceGuid] = type === 'need' ? [item.guid, other.guid] : [other.guid, item.guid];
+    announced[getKey(other)] = { needGuid, resourceGuid, score, createdAt: timestamp };
+  }
+  await storage.updateData((data) => {
+    data.matches = { ...data.matches, ...announced };
+  });
+}
+// Helper to check whether a chat is one of the configured channels
+function isOwnChannel(chat) {
+  const channels = [CHANNEL_USERNAME, ...CHANNEL_ROUTES.map((route) => route.channel)];
+  return channels.some((channel) => channel.startsWith('@')
+    ? channel.slice(1).toLowerCase() === chat.username?.toLowerCase()
+    : channel === String(chat.id));
+}
+// Helper to extract description and media from a message (text, media with caption or a collected album),
+// stripping the channel footer if the message was forwarded from our channel
+function getMessageContent(message) {
+  const isFromChannel = Boolean(message.forward_from_chat) && isOwnChannel(message.forward_from_chat);
+  let media = [];
+  let raw = '';
+  if (message.album) {
+    const album = getAlbumContent(message.album);
+    media = album.media;
+    raw = album.caption.trim();
+  } else if (getMessageMedia(message)) {
+    media = [getMessageMedia(message)];
+    raw = message.caption?.trim() || '';
+  } else if (message.text) {
+    raw = message.text.trim();
+  }
+  if (isFromChannel) {
+    // Channel footer (mention, status, hashtags) is the last paragraph
+    const footerStart = raw.lastIndexOf('\n\n');
+    if (footerStart > 0) raw = raw.slice(0, footerStart).trim();
+  }
+  return { description: raw, media };
+}
+// Helper to pick user info persisted on items for later mentions (e.g. bump)
+function getStoredUser(from) {
+  return {
+    id: from.id,
+    username: from.username,
+    first_name: from.first_name,
+    last_name: from.last_name,
+    language_code: from.language_code
+  };
+}
+// Statuses shown in channel post footers, see `channelStatus_*` in locales
+const CHANNEL_STATUSES = ['reserved', 'fulfilled'];
+// Helper to build a context for texts posted to a channel, in the channel language
+function getChannelCtx(channel) {
+  return { from: { language_code: CHANNEL_LANGUAGES[channel] || CHANNEL_LANGUAGE } };
+}
+// Helper to build the footer of a channel post from the `channelFooter` locale template
+function buildChannelFooter(type, item) {
+  const channelCtx = getChannelCtx(getTargetChannel(item));
+  const lang = getLanguage(channelCtx);
+  const status = getItemStatus(item);
+  const vars = {
+    type: t(channelCtx, `channelType_${type}`),
+    category: item.category ? _.escape(getCategoryName(channelCtx, item.category)) : '',
+    date: new Date(item.createdAt || Date.now()).toLocaleDateString(lang),
+    link: item.guid ? getStartLink(`item_${item.guid}`) : '',
+    status: CHANNEL_STATUSES.includes(status) ? t(channelCtx, `channelStatus_${status}`) : '',
+    area: item.location ? _.escape(getAreaName(item.location, lang)) : '',
+    hashtags: buildHashtags(type, item.category)
+  };
+  return renderChannelFooter({
+    type,
+    item,
+    translate: (key) => t(channelCtx, key),
+    mention: (user) => buildUserMention({ user }),
+    vars
+  });
+}
+// Helper to build channel post content for an item
+function buildChannelPost(type, item, { escape = false } = {}) {
+  const description = escape ? _.escape(item.description) : item.description;
+  return `${description}\n\n${buildChannelFooter(type, item)}`;
+}
+// Helper to build deep link buttons to respond to an item (Contact author for anonymous items)
+// and to report it when reports are enabled
+function getItemLinkButtons(ctx, type, item) {
+  return getItemLinks(type, item, { reports: Boolean(REPORTS_CHAT_ID) })
+    .map(({ key, payload }) => Markup.button.url(t(ctx, key), getStartLink(payload)));
+}
+// Helper to build buttons attached to channel posts, in the channel language
+function getChannelPostKeyboard(type, item) {
+  if (!item.guid) return {};
+  return Markup.inlineKeyboard([getItemLinkButtons(getChannelCtx(getTargetChannel(item)), type, item)]);
+}
+// Helper to check whether the post of an item carries its content as a media caption
+function hasCaption(item) {
+  return getItemMedia(item).length === 1;
+}
+/**
+ * Send item content with its media: text, a single file with caption, or an album
+ * followed by the content as a reply to its first part (albums can't have buttons).
+ * @param {Object} options
+ * @param {Object} options.telegram - Telegram API client.
+ * @param {number|string} options.chatId - Target chat.
+ * @param {Object} options.item - Item whose media is sent.
+ * @param {string} options.content - Text or caption.
+ * @param {Object} [options.extra] - Extra send options, e.g. parse mode and keyboard.
+ * @returns {Promise<{message: Object, mediaMessageIds: number[]}>} Message with the content and album part ids.
+ */
+async function sendItemPost({ telegram, chatId, item, content, extra = {} }) {
+  const media = getItemMedia(item);
+  if (media.length === 0) {
+    return { message: await telegram.sendMessage(chatId, content, extra), mediaMessageIds: [] };
+  }
+  if (media.length === 1) {
+    const [{ type, fileId }] = media;
+    return { message: await telegram[SEND_METHODS[type]](chatId, fileId, { caption: content, ...extra }), mediaMessageIds: [] };
+  }
+  const album = await telegram.sendMediaGroup(chatId, buildInputMediaGroup(media));
+  const message = await telegram.sendMessage(chatId, content, { reply_to_message_id: album[0].message_id, ...extra });
+  return { message, mediaMessageIds: album.map((part) => part.message_id) };
+}
+// Helper to post an item to its channel, storing the post id and album part ids on the item
+async function sendChannelPost({ telegram, channel, type, item }) {
+  const { message, mediaMessageIds } = await sendItemPost({
+    telegram,
+    chatId: channel,
+    item,
+    content: buildChannelPost(type, item),
+    extra: { parse_mode: 'HTML', ...getChannelPostKeyboard(type, item) }
+  });
+  item.channelMessageId = message.message_id;
+  if (mediaMessageIds.length) {
+    item.mediaMessageIds = mediaMessageIds;
+  } else {
+    delete item.mediaMessageIds;
+  }
+}
+// Helper to delete the channel post of an item together with its album parts
+async function deleteItemPost({ telegram, item }) {
+  const channel = getItemChannel(item);
+  await deleteChannelMessage({ telegram, channel, msgId: item.channelMessageId });
+  for (const msgId of item.mediaMessageIds || []) {
+    await deleteChannelMessage({ telegram, channel, msgId });
+  }
+  delete item.mediaMessageIds;
+}
+/**
+ * Post an item to its channel (see `getTargetChannel`), storing the channel in `item.channel`
+ * and the post id in `item.channelMessageId`.
+ * In repost mode the original message is forwarded when its source is known.
+ * @param {Object} options
+ * @param {Object} options.telegram - Telegram API client.
+ * @param {'need'|'resource'} options.type - Type of the item.
+ * @param {Object} options.item - The item to publish.
+ * @param {{chatId: number, messageId: number}} [options.source] - Original user message.
+ */
+async function publishItem({ telegram, type, item, source }) {
+  const channel = getTargetChannel(item);
+  // Albums arrive as several messages and forwards reveal the sender, so both are always posted anew
+  if (ENABLE_REPOSTS && source && getItemMedia(item).length <= 1 && !item.anonymous) {
+    // Forward the original user message to the channel
+    const forwarded = await telegram.forwardMessage(channel, source.chatId, source.messageId);
+    // Store the forwarded message ID for reference
+    item.descriptionMessageId = forwarded.message_id;
+    // Send metadata only (without description) as a reply to the forwarded message
+    const post = await telegram.sendMessage(
+      channel,
+      buildChannelFooter(type, item),
+      { parse_mode: 'HTML', reply_to_message_id: forwarded.message_id, ...getChannelPostKeyboard(type, item) }
     );
+    item.channelMessageId = post.message_id;
+  } else {
+    await sendChannelPost({ telegram, channel, type, item });
+  }
+  item.channel = channel;
+}
+// Helper to build the review message shown to moderators, with an optional decision footer
+function buildReviewMessage(type, item, footer) {
+  const capitalized = type.charAt(0).toUpperCase() + type.slice(1);
+  const content = `${t(moderatorsCtx, `review${capitalized}`)}\n\n${buildChannelPost(type, item, { escape: true })}`;
+  return footer ? `${content}\n\n${footer}` : content;
+}
+// Helper to build moderation buttons, keyed by item guid
+function getReviewKeyboard(ctx, item) {
+  return Markup.inlineKeyboard([[
+    Markup.button.callback(t(ctx, 'approveButton'), `review_approve_${item.guid}`),
+    Markup.button.callback(t(ctx, 'rejectButton'), `review_reject_${item.guid}`),
+    Markup.button.callback(t(ctx, 'editButton'), `review_edit_${item.guid}`)
+  ]]);
+}
+// Helper to send a pending item to the moderators chat, storing the review message id on the item
+async function sendForReview({ telegram, type, item }) {
+  const content = buildReviewMessage(type, item);
+  const extra = { parse_mode: 'HTML', ...getReviewKeyboard(moderatorsCtx, item) };
+  const { message } = await sendItemPost({ telegram, chatId: MODERATION_CHAT_ID, item, content, extra });
+  item.reviewMessageId = message.message_id;
+}
+// Helper to refresh the review message; decided items get a footer instead of buttons
+async function updateReviewMessage({ telegram, type, item, footer }) {
+  if (!item.reviewMessageId) return;
+  const content = buildReviewMessage(type, item, footer);
+  const extra = footer ? { parse_mode: 'HTML' } : { parse_mode: 'HTML', ...getReviewKeyboard(moderatorsCtx, item) };
+  try {
+    if (hasCaption(item)) {
+      await telegram.editMessageCaption(MODERATION_CHAT_ID, item.reviewMessageId, undefined, content, extra);
+    } else {
+      await telegram.editMessageText(MODERATION_CHAT_ID, item.reviewMessageId, undefined, content, extra);
+    }
+  } catch (err) {
+    console.error(`Failed to update review message ${item.reviewMessageId}:`, err.response?.description || err.message);
+  }
+}
+// Fields recording where an item is posted, set by Telegram calls
+const POST_FIELDS = ['channel', 'channelMessageId', 'descriptionMessageId', 'mediaMessageIds', 'reviewMessageId'];
+// Helper to build a lookup of the stored copy of an item: by guid, or by channel post for items stored before guids
+function matchItem(item) {
+  return item.guid ? { guid: item.guid } : { channelMessageId: item.channelMessageId };
+}
+/**
+ * Apply changes to a stored item in a short update. Telegram calls are made outside of
+ * storage updates (they would hold the write queue for everyone), on a copy of the item;
+ * this saves their results afterwards.
+ * @param {number|string} userId - Owner of the item.
+ * @param {'need'|'resource'} type - Type of the item.
+ * @param {Object} match - Lookup of the item taken before the calls, see `matchItem`.
+ * @param {function(Object): void} fn - Changes the stored item.
+ * @returns {Promise<Object|null>} Copy of the updated item, or null when it's gone.
+ */
+function updateStoredItem(userId, type, match, fn) {
+  return storage.update(userId, (user) => {
+    const stored = _.find(user[`${type}s`], match);
+    if (!stored) return null;
+    fn(stored);
+    return _.cloneDeep(stored);
+  });
+}
+// Helper to copy the post fields of an item posted, edited or deleted outside of storage updates
+function copyPostFields(stored, posted) {
+  for (const field of POST_FIELDS) {
+    if (posted[field] === undefined) {
+      delete stored[field];
+    } else {
+      stored[field] = posted[field];
+    }
+  }
+}
+// Helper to save the post fields of an item to its stored copy
+function savePostFields(userId, type, match, posted) {
+  return updateStoredItem(userId, type, match, (stored) => copyPostFields(stored, posted));
+}
+// Helper to find an item of any user, returns { userId, type, item } or null
+async function findStoredItem(predicate) {
+  await storage.readDB();
+  for (const [userId, user] of Object.entries(storage.db.data.users || {})) {
+    for (const type of itemTypes) {
+      const item = _.find(user[`${type}s`], predicate);
+      if (item) return { userId, type, item };
+    }
+  }
+  return null;
+}
+/**
+ * Apply a moderator decision to an item awaiting review: publish it or reject it,
+ * then mark the review message and notify the author in their language.
+ * @param {Object} options
+ * @param {Object} options.ctx - Context of the moderator's action.
+ * @param {string} options.guid - Guid of the item.
+ * @param {'approved'|'rejected'} options.decision - Moderator decision.
+ * @param {string} [options.reason] - Rejection reason shown to the author.
+ * @returns {Promise<Object|null>} The reviewed item, or null if it is not awaiting review.
+ */
+async function reviewItem({ ctx, guid, decision, reason }) {
+  const found = await findStoredItem({ guid });
+  if (!found) return null;
+  const { userId, type } = found;
+  // The decision is stored first, so a second moderator sees the item as reviewed while it's being published
+  const item = await storage.update(userId, (user) => {
+    const item = _.find(user[`${type}s`], { guid });
+    if (!item || getItemStatus(item) !== 'pending_review') return null;
+    const timestamp = new Date().toISOString();
+    item.review = { decision, moderatorId: ctx.from.id, reviewedAt: timestamp };
+    if (reason) item.review.reason = reason;
+    item.statusUpdatedAt = timestamp;
+    if (decision === 'approved') {
+      // Items sent back to review after publishing return to their previous status
+      item.status = item.statusBeforeReview || 'open';
+      item.updatedAt = timestamp;
+    } else {
+      item.status = 'rejected';
+    }
+    delete item.statusBeforeReview;
+    return _.cloneDeep(item);
+  });
+  if (!item) return null;
+  if (decision === 'approved') {
+    try {
+      await publishItem({ telegram: ctx.telegram, type, item });
+    } catch (err) {
+      console.error(`Failed to publish approved ${type} ${guid}:`, err);
+      item.channelMessageId = null;
+    }
+    await savePostFields(userId, type, { guid }, item);
+  }
+  const moderator = _.escape(ctx.from.username ? `@${ctx.from.username}` : ctx.from.first_name);
+  let footer = t(moderatorsCtx, decision === 'approved' ? 'reviewApprovedBy' : 'reviewRejectedBy', { moderator });
+  if (reason) footer += `\n${t(moderatorsCtx, 'rejectReasonLine', { reason: _.escape(reason) })}`;
+  await updateReviewMessage({ telegram: ctx.telegram, type, item, footer });
+  const ownerCtx = getUserCtx(item.user);
+  let text = t(ownerCtx, `${type}${decision === 'approved' ? 'Approved' : 'Rejected'}`, {
+    description: _.truncate(item.description, { length: 200 }),
+    channel: getItemChannel(item)
+  });
+  if (reason) text += `\n${t(ownerCtx, 'rejectReasonLine', { reason })}`;
+  try {
+    await ctx.telegram.sendMessage(userId, text);
+  } catch (err) {
+    console.error(`Failed to notify user ${userId} about review of ${type} ${guid}:`, err.message);
+  }
+  if (decision === 'approved') {
+    try {
+      await notifyMatches({ telegram: ctx.telegram, item, type, ownerId: userId });
+    } catch (err) {
+      console.error('Failed to process matches:', err);
+    }
+  }
+  return item;
+}
+// Helper to apply a moderator's reply: rejection reason or corrected description
+async function handleReviewInput(ctx, step, guid) {
+  const pendingKey = getPendingActionKey(ctx.from.id, ctx.chat.id);
+  const text = ctx.message.text?.trim();
+  if (!text || text.startsWith('/')) {
+    await ctx.reply(t(ctx, step === 'reject' ? 'promptRejectReason' : 'promptReviewEdit'), Markup.forceReply());
+    return;
+  }
+  await conversations.delete(pendingKey);
+  if (step === 'reject') {
+    const item = await reviewItem({ ctx, guid, decision: 'rejected', reason: text === '-' ? undefined : text });
+    await ctx.reply(t(ctx, item ? 'reviewRejected' : 'reviewAlreadyDone'));
+    return;
+  }
+  const found = await findStoredItem({ guid });
+  const item = found && await storage.update(found.userId, (user) => {
+    const item = _.find(user[`${found.type}s`], { guid });
+    if (!item || getItemStatus(item) !== 'pending_review') return null;
+    applyItemEdit(item, { description: text, categories: CATEGORIES, editedBy: ctx.from.id });
+    return _.cloneDeep(item);
+  });
+  if (item) await updateReviewMessage({ telegram: ctx.telegram, type: found.type, item });
+  await ctx.reply(t(ctx, item ? 'reviewEdited' : 'reviewAlreadyDone'));
+}
+// Helper to start a report from the Report button deep link, asking the reporter for a reason
+async function startReport(ctx, guid) {
+  const found = await findStoredItem({ guid });
+  if (!found || !isPublished(found.item)) return ctx.reply(t(ctx, 'reportItemNotFound'));
+  if (String(found.userId) === String(ctx.from.id)) return ctx.reply(t(ctx, 'cannotReportOwn'));
+  if (hasReported(found.item, ctx.from.id)) return ctx.reply(t(ctx, 'alreadyReported'));
+  await conversations.start(getPendingActionKey(ctx.from.id, ctx.chat.id), `report_${guid}`);
+  await ctx.reply(`${_.truncate(found.item.description, { length: 200 })}\n\n${t(ctx, 'promptReportReason')}`);
+}
+// Helper to send a report card with moderation buttons to the reports chat
+async function sendReportCard({ telegram, type, item, reporter, reason, priorReports, hidden }) {
+  const capitalized = type.charAt(0).toUpperCase() + type.slice(1);
+  const lines = [
+    t(moderatorsCtx, `report${capitalized}`),
+    '',
+    _.escape(_.truncate(item.description, { length: 1000 })),
+    '',
+    t(moderatorsCtx, 'reportAuthorLine', { author: buildUserMention({ user: item.user }) }),
+    t(moderatorsCtx, 'reportReporterLine', { reporter: buildUserMention({ user: reporter }) })
+  ];
+  if (reason) lines.push(t(moderatorsCtx, 'rejectReasonLine', { reason: _.escape(reason) }));
+  lines.push(t(moderatorsCtx, 'priorReportsLine', { count: priorReports }));
+  if (hidden) {
+    lines.push(t(moderatorsCtx, 'reportAutoHidden'));
+  } else if (item.channelMessageId) {
+    lines.push(getItemPostLink(item));
+  }
+  await telegram.sendMessage(REPORTS_CHAT_ID, lines.join('\n'), {
+    parse_mode: 'HTML',
+    ...Markup.inlineKeyboard([[
+      Markup.button.callback(t(moderatorsCtx, 'removePostButton'), `report_remove_${item.guid}`),
+      Markup.button.callback(t(moderatorsCtx, 'dismissButton'), `report_dismiss_${item.guid}`)
+    ]])
+  });
+}
+// Helper to apply the reporter's reason: record the report, hide the post if needed and notify moderators
+async function handleReportInput(ctx, guid) {
+  const pendingKey = getPendingActionKey(ctx.from.id, ctx.chat.id);
+  const text = ctx.message.text?.trim();
+  if (!text || text.startsWith('/')) {
+    await ctx.reply(t(ctx, 'promptReportReason'));
+    return;
+  }
+  await conversations.delete(pendingKey);
+  const reason = text === '-' ? undefined : text;
+  const found = await findStoredItem({ guid });
+  const result = found && await storage.update(found.userId, (user) => {
+    const item = _.find(user[`${found.type}s`], { guid });
+    if (!item || !isPublished(item)) return { error: 'reportItemNotFound' };
+    const priorReports = (item.reports || []).length;
+    if (!addReport(item, { reporterId: ctx.from.id, reason })) return { error: 'alreadyReported' };
+    const hidden = shouldAutoHide(item, REPORT_HIDE_THRESHOLD);
+    if (hidden) closeItem(item, 'reported');
+    return { item: _.cloneDeep(item), priorReports, hidden };
+  });
+  if (!result || result.error) {
+    await ctx.reply(t(ctx, result?.error || 'reportItemNotFound'));
+    return;
+  }
+  if (result.hidden) {
+    await removeClosedPost({ telegram: ctx.telegram, userId: found.userId, type: found.type, item: result.item });
+  }
+  await ctx.reply(t(ctx, 'reportSent'));
+  try {
+    await sendReportCard({ telegram: ctx.telegram, type: found.type, reporter: ctx.from, reason, ...result });
+  } catch (err) {
+    console.error(`Failed to send report on ${found.type} ${guid}:`, err);
+  }
+}
+// Helper to start a response from the channel post deep link, asking the responder for a message
+async function startResponse(ctx, guid) {
+  if (getBan(ctx.from.id)) return ctx.reply(t(ctx, 'userIsBanned'));
+  const found = await findStoredItem({ guid });
+  if (!found || getItemStatus(found.item) !== 'open') return ctx.reply(t(ctx, 'responseItemNotFound'));
+  if (String(found.userId) === String(ctx.from.id)) return ctx.reply(t(ctx, 'cannotRespondOwn'));
+  if (hasPendingResponse(found.item, ctx.from.id)) return ctx.reply(t(ctx, 'alreadyResponded'));
+  await conversations.start(getPendingActionKey(ctx.from.id, ctx.chat.id), `respond_${guid}`);
+  await ctx.reply(`${_.truncate(found.item.description, { length: 200 })}\n\n${t(ctx, `promptResponse_${found.type}`)}`);
+}
+// Helper to show an item opened from a deep link: the management card to its owner, a public card to others
+async function replyItemCard(ctx, guid) {
+  const found = await findStoredItem({ guid });
+  if (!found || !isPublished(found.item)) return ctx.reply(t(ctx, 'startItemNotFound'), getMainKeyboard(ctx));
+  const { type, item } = found;
+  if (String(found.userId) === String(ctx.from.id)) {
+    return ctx.reply(formatItemCard(ctx, item), getItemKeyboard(ctx, type, item));
+  }
+  const capitalized = type.charAt(0).toUpperCase() + type.slice(1);
+  const lines = [
+    `<b>${t(ctx, `search${capitalized}Label`)}</b>: ${_.escape(item.description)}`,
+    '',
+    t(ctx, 'createdAt', { date: formatDate(item.createdAt) })
+  ];
+  if (item.category) {
+    lines.push(t(ctx, 'categoryLine', { category: _.escape(getCategoryName(ctx, item.category)) }));
+  }
+  if (item.location) {
+    lines.push(t(ctx, 'locationLine', { area: _.escape(getAreaName(item.location, getLanguage(ctx))) }));
+  }
+  const status = getItemStatus(item);
+  if (status !== 'open') lines.push(t(ctx, 'statusLine', { status: t(ctx, `status_${status}`) }));
+  const rows = [];
+  if (item.channelMessageId) rows.push([Markup.button.url(t(ctx, 'openPostButton'), getItemPostLink(item))]);
+  if (status === 'open') rows.push(getItemLinkButtons(ctx, type, item));
+  await ctx.reply(lines.join('\n'), { parse_mode: 'HTML', disable_web_page_preview: true, ...Markup.inlineKeyboard(rows) });
+}
+// Helper to build the message delivering a response to the item owner, with an optional decision footer
+function buildResponseMessage(ctx, type, item, response, footer) {
+  const content = t(ctx, `responseReceived_${type}`, {
+    responder: buildUserMention({ user: response.responder }),
+    description: _.escape(_.truncate(item.description, { length: 200 })),
+    message: _.escape(response.message)
+  });
+  return footer ? `${content}\n\n${footer}` : content;
+}
+// Helper to build the buttons of a response delivered to the owner: a decision while pending,
+// and a chat via the bot unless the response was declined
+function getResponseKeyboard(ctx, guid, index, response) {
+  const rows = [];
+  if (response.status === 'pending') {
+    rows.push([
+      Markup.button.callback(t(ctx, 'acceptButton'), `response_accept_${guid}_${index}`),
+      Markup.button.callback(t(ctx, 'declineButton'), `response_decline_${guid}_${index}`)
+    ]);
+  }
+  if (response.status !== 'declined') {
+    rows.push([Markup.button.callback(t(ctx, 'relayStartButton'), `relay_start_${guid}_${index}`)]);
+  }
+  return Markup.inlineKeyboard(rows);
+}
+// Helper to apply the responder's message: record the response and deliver it to the owner
+async function handleResponseInput(ctx, guid) {
+  const pendingKey = getPendingActionKey(ctx.from.id, ctx.chat.id);
+  const found = await findStoredItem({ guid });
+  const text = ctx.message.text?.trim();
+  if (found && (!text || text.startsWith('/'))) {
+    await ctx.reply(t(ctx, `promptResponse_${found.type}`));
+    return;
+  }
+  await conversations.delete(pendingKey);
+  const result = found && await storage.update(found.userId, (user) => {
+    const item = _.find(user[`${found.type}s`], { guid });
+    if (!item || getItemStatus(item) !== 'open') return { error: 'responseItemNotFound' };
+    const index = addResponse(item, { responder: getStoredUser(ctx.from), message: text });
+    if (index === null) return { error: 'alreadyResponded' };
+    return { item: _.cloneDeep(item), index };
+  });
+  if (!result || result.error) {
+    await ctx.reply(t(ctx, result?.error || 'responseItemNotFound'));
+    return;
   }
+  const { item, index } = result;
+  const ownerCtx = getUserCtx(item.user);
+  try {
+    await ctx.telegram.sendMessage(found.userId, buildResponseMessage(ownerCtx, found.type, item, item.responses[index]), {
+      parse_mode: 'HTML',
+      ...getResponseKeyboard(ownerCtx, guid, index, item.responses[index])
+    });
+  } catch (err) {
+    // The response stays visible to the owner in /needs or /resources
+    console.error(`Failed to deliver response on ${found.type} ${guid} to user ${found.userId}:`, err.message);
+  }
+  await ctx.reply(t(ctx, 'responseSent'));
+}
+// Helper to confirm a new item in the chat, or privately when the group asks for it in /settings
+async function replyConfirmation(ctx, { groupKey, privateKey = groupKey, vars }) {
+  if (ctx.chat.type !== 'private' && getChatSettings(ctx.chat).confirmations === 'private') {
+    try {
+      await ctx.telegram.sendMessage(ctx.from.id, t({ from: ctx.from }, privateKey, vars));
+      return;
+    } catch (err) {
+      // The user never started the bot in private, confirm in the group instead
+      console.error(`Failed to confirm privately to user ${ctx.from.id}:`, err.message);
+    }
+  }
+  await ctx.reply(t(ctx, ctx.chat.type === 'private' ? privateKey : groupKey, vars));
 }
 // Helper to add a new item (need or resource)
 async function addItem(ctx, type) {
   const capitalized = type.charAt(0).toUpperCase() + type.slice(1);
   const promptKey = `prompt${capitalized}`;
 
+  if (getBan(ctx.from.id)) {
+    await conversations.delete(getPendingActionKey(ctx.from.id, ctx.chat.id));
+    await ctx.reply(t(ctx, 'userIsBanned'));
+    return;
+  }
+  const settings = getChatSettings(ctx.chat);
+  if (!settings.itemTypes.includes(type)) {
+    await conversations.delete(getPendingActionKey(ctx.from.id, ctx.chat.id));
+    await ctx.reply(t(ctx, 'itemTypeDisabled'));
+    return;
+  }
+
   let description = '';
-  let fileId = null;
-  // Detect forwarded messages from channel to strip auto-appended lines
-  const channelName = CHANNEL_USERNAME.startsWith('@') ? CHANNEL_USERNAME.slice(1) : CHANNEL_USERNAME;
-  const isFromChannelMsg = ctx.message.forward_from_chat && ctx.message.forward_from_chat.username === channelName;
+  let media = [];
 
   // If command used as a reply, take replied message as input
   if (ctx.message.text && ctx.message.text.startsWith('/') && ctx.message.reply_to_message) {
@@ -455,68 +1219,17 @@ async function addItem(ctx, type) {
       return;
     }
 
-    const replied = ctx.message.reply_to_message;
-    const isFromChannel = replied.forward_from_chat && replied.forward_from_chat.username === channelName;
-    if (replied.photo && replied.photo.length > 0) {
-      fileId = replied.photo[replied.photo.length - 1].file_id;
-      let raw = replied.caption?.trim() || '';
-      if (isFromChannel) {
-        const lines = raw.split('\n');
-        if (lines.length >= 3) raw = lines.slice(0, -2).join('\n').trim();
-      }
-      description = raw;
-    } else if (replied.document && replied.document.mime_type.startsWith('image/')) {
-      fileId = replied.document.file_id;
-      let raw = replied.caption?.trim() || '';
-      if (isFromChannel) {
-        const lines = raw.split('\n');
-        if (lines.length >= 3) raw = lines.slice(0, -2).join('\n').trim();
-      }
-      description = raw;
-    } else if (replied.text) {
-      let raw = replied.text.trim();
-      if (isFromChannel) {
-        const lines = raw.split('\n');
-        if (lines.length >= 3) raw = lines.slice(0, -2).join('\n').trim();
-      }
-      description = raw;
-    }
+    ({ description, media } = getMessageContent(ctx.message.reply_to_message));
   } else {
     // Prepare and reject commands as input
     if (ctx.message.text && ctx.message.text.startsWith('/')) {
       await ctx.reply(t(ctx, promptKey));
       return;
     }
-    // Support both text and image inputs, strip channel footer if forwarded
-    const hasPhoto = ctx.message.photo && ctx.message.photo.length > 0;
-    const hasDocImage = ctx.message.document && ctx.message.document.mime_type.startsWith('image/');
-    if (hasPhoto) {
-      fileId = ctx.message.photo[ctx.message.photo.length - 1].file_id;
-      let raw = ctx.message.caption?.trim() || '';
-      if (isFromChannelMsg) {
-        const lines = raw.split('\n');
-        if (lines.length >= 3) raw = lines.slice(0, -2).join('\n').trim();
-      }
-      description = raw;
-    } else if (hasDocImage) {
-      fileId = ctx.message.document.file_id;
-      let raw = ctx.message.caption?.trim() || '';
-      if (isFromChannelMsg) {
-        const lines = raw.split('\n');
-        if (lines.length >= 3) raw = lines.slice(0, -2).join('\n').trim();
-      }
-      description = raw;
-    } else if (ctx.message.text) {
-      let raw = ctx.message.text.trim();
-      if (isFromChannelMsg) {
-        const lines = raw.split('\n');
-        if (lines.length >= 3) raw = lines.slice(0, -2).join('\n').trim();
-      }
-      description = raw;
-    }
+    ({ description, media } = getMessageContent(ctx.message));
   }
 
-  if (!description && !fileId) {
+  if (!description && !media.length) {
     await ctx.reply(t(ctx, promptKey));
     return;
   }
@@ -533,114 +1246,274 @@ async function addItem(ctx, type) {
       return;
     }
   }
-  const user = await storage.getUserData(ctx.from.id);
-  // Enforce rolling 24-hour creation limits
-  const fieldKey = `${type}s`;
-  const sinceTs = Date.now() - 24 * 60 * 60 * 1000;
-  const recentItems = _.filter(
-    user[fieldKey],
-    (item) => new Date(item.createdAt).getTime() >= sinceTs
-  );
-  const limitKey = type === 'need' ? 'limitNeedsPerDay' : 'limitResourcesPerDay';
-  const limit = DAILY_LIMITS[type];
-  if (recentItems.length >= limit) {
-    await ctx.reply(t(ctx, limitKey, { count: recentItems.length, limit }));
-    const pendingKey = getPendingActionKey(ctx.from.id, ctx.chat.id);
-    delete pendingActions[pendingKey];
-    return;
-  }
   const config = {
-    need: {
-      field: 'needs',
-      role: 'requestor',
-      channelTemplate: (description, from) =>
-        `${description}\n\n<i>Need of ${buildUserMention({ user: from })}.</i>`
-    },
-    resource: {
-      field: 'resources',
-      role: 'supplier',
-      channelTemplate: (description, from) =>
-        `${description}\n\n<i>Resource provided by ${buildUserMention({ user: from })}.</i>`
-    }
-  };
-  const { field, role, channelTemplate } = config[type];
-  const timestamp = new Date().toISOString();
-  const item = {
-    // Persist full user info for later mentions (e.g. bump)
-    user: {
-      id: ctx.from.id,
-      username: ctx.from.username,
-      first_name: ctx.from.first_name,
-      last_name: ctx.from.last_name
-    },
-    [role]: ctx.from.username || ctx.from.first_name || 'unknown',
-    guid: uuidv7(),
-    description,
-    createdAt: timestamp,
-    updatedAt: timestamp
+    need: { field: 'needs', role: 'requestor' },
+    resource: { field: 'resources', role: 'supplier' }
   };
-  if (fileId) item.fileId = fileId;
-  try {
-    let post;
-    if (ENABLE_REPOSTS) {
-      // Forward the original user message to the channel
-      const forwarded = await ctx.telegram.forwardMessage(
-        CHANNEL_USERNAME,
-        ctx.chat.id,
-        ctx.message.message_id
-      );
-      // Store the forwarded message ID for reference
-      item.descriptionMessageId = forwarded.message_id;
-      // Send metadata only (without description) as a reply to the forwarded message
-      const mention = buildUserMention({ user: ctx.from });
-      const metadata = type === 'need'
-        ? `<i>Need of ${mention}.</i>`
-        : `<i>Resource provided by ${mention}.</i>`;
-      post = await ctx.telegram.sendMessage(
-        CHANNEL_USERNAME,
-        metadata,
-        { parse_mode: 'HTML', reply_to_message_id: forwarded.message_id }
-      );
-    } else if (fileId) {
-      post = await ctx.telegram.sendPhoto(
-        CHANNEL_USERNAME,
-        fileId,
-        { caption: channelTemplate(item.description, ctx.from), parse_mode: 'HTML' }
-      );
-    } else {
-      post = await ctx.telegram.sendMessage(
-        CHANNEL_USERNAME,
-        channelTemplate(item.description, ctx.from),
-        { parse_mode: 'HTML' }
-      );
+  const { field, role } = config[type];
+  const pendingKey = getPendingActionKey(ctx.from.id, ctx.chat.id);
+  // Check the limit and store in one update, so concurrent messages can't exceed the limit
+  const { item, exceeded } = await storage.update(ctx.from.id, (user) => {
+    // Enforce rolling creation limits of the user's tier
+    const limits = getUserLimits(ctx.from.id, user);
+    const exceeded = limits && getExceededLimit({ items: user[field], limits: limits[type] });
+    if (exceeded) {
+      return { exceeded };
     }
-    item.channelMessageId = post.message_id;
-  } catch (e) {
+    const timestamp = new Date().toISOString();
+    const item = {
+      // Persist full user info for later mentions (e.g. bump)
+      user: getStoredUser(ctx.from),
+      [role]: ctx.from.username || ctx.from.first_name || 'unknown',
+      guid: uuidv7(),
+      description,
+      createdAt: timestamp,
+      updatedAt: timestamp
+    };
+    if (media.length) item.media = media;
+    const conversation = conversations.get(pendingKey) || {};
+    const category = conversation.category || detectCategory(description, CATEGORIES);
+    if (category) item.category = category;
+    // Detected categories follow edits of the description, chosen ones stay
+    if (category && !conversation.category) item.categoryDetected = true;
+    if (isAnonymousChoice(ctx.from.id, conversation, user)) item.anonymous = true;
+    if (conversation.location) item.location = conversation.location;
+    // Groups may send their items to their own channel
+    if (settings.channel) item.channel = settings.channel;
+    // Published only after a moderator approves it
+    if (MODERATION_CHAT_ID) item.status = 'pending_review';
     item.channelMessageId = null;
+    user[field].push(item);
+    return { item: _.cloneDeep(item) };
+  });
+  if (!item) {
+    const limitKey = type === 'need' ? 'limitNeedsReached' : 'limitResourcesReached';
+    await ctx.reply(t(ctx, limitKey, {
+      count: exceeded.used,
+      limit: exceeded.limit,
+      window: t(ctx, `limitWindow_${exceeded.window}`),
+      nextSlot: formatDate(exceeded.nextSlotAt)
+    }));
+    await conversations.delete(pendingKey);
+    return;
+  }
+  if (MODERATION_CHAT_ID) {
+    try {
+      await sendForReview({ telegram: ctx.telegram, type, item });
+    } catch (err) {
+      console.error(`Failed to send ${type} ${item.guid} for review:`, err);
+    }
+  } else {
+    try {
+      await publishItem({
+        telegram: ctx.telegram,
+        type,
+        item,
+        source: { chatId: ctx.chat.id, messageId: ctx.message.message_id }
+      });
+    } catch (e) {
+      item.channelMessageId = null;
+    }
+  }
+  await savePostFields(ctx.from.id, type, { guid: item.guid }, item);
+  if (getItemStatus(item) === 'pending_review') {
+    await replyConfirmation(ctx, { groupKey: `${type}SubmittedForReview`, vars: { channel: getTargetChannel(item) } });
+    await conversations.delete(pendingKey);
+    return;
   }
-  user[field].push(item);
-  await storage.writeDB();
   // Send confirmation: private chat vs group chat
   // Use specialized translation in private chats to mention management commands
-  const privateKey = type === 'need' ? 'needAddedPrivate' : 'resourceAddedPrivate';
-  const groupKey = type === 'need' ? 'needAdded' : 'resourceAdded';
-  const replyKey = ctx.chat.type === 'private' ? privateKey : groupKey;
-  await ctx.reply(t(ctx, replyKey, { channel: CHANNEL_USERNAME }));
-  const pendingKey = getPendingActionKey(ctx.from.id, ctx.chat.id);
-  delete pendingActions[pendingKey];
+  await replyConfirmation(ctx, {
+    groupKey: type === 'need' ? 'needAdded' : 'resourceAdded',
+    privateKey: type === 'need' ? 'needAddedPrivate' : 'resourceAddedPrivate',
+    vars: { channel: getItemChannel(item), bot: getBotUsername() }
+  });
+  await conversations.delete(pendingKey);
+  try {
+    await notifyMatches({ telegram: ctx.telegram, item, type, ownerId: ctx.from.id });
+  } catch (err) {
+    console.error('Failed to process matches:', err);
+  }
 }
-// Helper to format timestamps consistently
-function formatDate(ts) {
-  return new Date(ts || Date.now()).toLocaleString();
+/**
+ * Update the channel post of an edited item in place.
+ * Falls back to re-posting when the media can't be edited in place (text <-> media,
+ * albums, voice messages) or the post was made in repost mode, updating
+ * `item.channelMessageId` accordingly.
+ * @param {Object} options
+ * @param {Object} options.telegram - Telegram API client.
+ * @param {'need'|'resource'} options.type - Type of the item.
+ * @param {Object} options.item - The already updated item.
+ * @param {Array} [options.previousMedia] - Media of the item before the edit (see `getItemMedia`).
+ */
+async function updateChannelPost({ telegram, type, item, previousMedia = [] }) {
+  const msgId = item.channelMessageId;
+  if (!msgId) return;
+  const channel = getItemChannel(item);
+  const content = buildChannelPost(type, item);
+  const method = getPostUpdate(item, previousMedia);
+  if (method !== 'repost') {
+    try {
+      if (method === 'editMessageMedia') {
+        const [{ type: mediaType, fileId }] = getItemMedia(item);
+        await telegram.editMessageMedia(channel, msgId, undefined, {
+          type: mediaType,
+          media: fileId,
+          caption: content,
+          parse_mode: 'HTML'
+        }, getChannelPostKeyboard(type, item));
+      } else {
+        await telegram[method](channel, msgId, undefined, content, {
+          parse_mode: 'HTML',
+          ...getChannelPostKeyboard(type, item)
+        });
+      }
+      return;
+    } catch (err) {
+      const desc = err.response?.description || err.message;
+      if (/message is not modified/i.test(desc)) return;
+      console.error(`Failed to edit channel message ${msgId}, re-posting:`, desc);
+    }
+  }
+  await deleteItemPost({ telegram, item });
+  if (item.descriptionMessageId) {
+    await deleteChannelMessage({ telegram, channel, msgId: item.descriptionMessageId });
+    delete item.descriptionMessageId;
+  }
+  await sendChannelPost({ telegram, channel, type, item });
 }
-// Consolidated handlers for prompt, listing, and deletion of needs and resources
-const itemTypes = ['need', 'resource'];
+/**
+ * Re-post an item so it appears at the top of the channel, then save the new post.
+ * The stored item is looked up by its old post, so when two bumps race only the first
+ * one is saved and the duplicate post of the other is removed.
+ * @param {Object} options
+ * @param {Object} options.telegram - Telegram API client.
+ * @param {number|string} options.userId - Owner of the item.
+ * @param {'need'|'resource'} options.type - Type of the item.
+ * @param {Object} options.item - Copy of the stored item, updated with the new post.
+ * @returns {Promise<Object|null>} The saved item, or null if it was bumped or removed meanwhile.
+ */
+async function bumpItem({ telegram, userId, type, item }) {
+  const msgId = item.channelMessageId;
+  // Remove old channel message with its album parts or mark as deleted
+  await deleteItemPost({ telegram, item });
+  // Post content with mention from repaired item.user
+  await sendChannelPost({ telegram, channel: getItemChannel(item), type, item });
+  // Update updatedAt after bump
+  item.updatedAt = new Date().toISOString();
+  const saved = await updateStoredItem(userId, type, { channelMessageId: msgId }, (stored) => {
+    copyPostFields(stored, item);
+    stored.updatedAt = item.updatedAt;
+  });
+  if (!saved) await deleteItemPost({ telegram, item });
+  return saved;
+}
+// Reasons of closing that only moderators can undo: hidden after reports, removed after reports, author banned
+const MODERATOR_CLOSE_REASONS = ['reported', 'removed', 'banned'];
+// Helper to check whether an item was closed by moderation rather than by its owner
+function isClosedByModerators(item) {
+  return getItemStatus(item) === 'closed' && MODERATOR_CLOSE_REASONS.includes(item.closedReason);
+}
+// Helper to close an item but keep it in storage for history; its channel post is removed with `removeClosedPost`
+function closeItem(item, reason) {
+  item.status = 'closed';
+  item.statusUpdatedAt = new Date().toISOString();
+  if (reason) item.closedReason = reason;
+}
+// Helper to delete the channel post of an item closed in storage, saving the removed album parts
+async function removeClosedPost({ telegram, userId, type, item }) {
+  if (!item.channelMessageId) return;
+  const match = matchItem(item);
+  // Use helper to delete or mark as deleted
+  await deleteItemPost({ telegram, item });
+  await savePostFields(userId, type, match, item);
+}
+// Helper to apply a pending edit (new description and/or media) to an existing item
+// Helper to send a published item back to moderators in storage, restoring its status on approval
+function returnToReview(item) {
+  item.statusBeforeReview = getItemStatus(item);
+  item.status = 'pending_review';
+  item.statusUpdatedAt = new Date().toISOString();
+}
+// Helper to take the post of an item returned to review off the channel and send the item to moderators
+async function resubmitForReview({ telegram, userId, type, item, match }) {
+  if (item.channelMessageId) await deleteItemPost({ telegram, item });
+  if (item.descriptionMessageId) {
+    await deleteChannelMessage({ telegram, channel: getItemChannel(item), msgId: item.descriptionMessageId });
+    delete item.descriptionMessageId;
+  }
+  item.channelMessageId = null;
+  try {
+    await sendForReview({ telegram, type, item });
+  } catch (err) {
+    console.error(`Failed to send ${type} ${item.guid} for review:`, err);
+  }
+  await savePostFields(userId, type, match, item);
+}
+async function editItem(ctx, type, msgId) {
+  const capitalized = type.charAt(0).toUpperCase() + type.slice(1);
+  const promptKey = `promptEdit${capitalized}`;
+  const pendingKey = getPendingActionKey(ctx.from.id, ctx.chat.id);
+  if (getBan(ctx.from.id)) {
+    await conversations.delete(pendingKey);
+    await ctx.reply(t(ctx, 'userIsBanned'));
+    return;
+  }
+  if (ctx.message.text && ctx.message.text.startsWith('/')) {
+    await ctx.reply(t(ctx, promptKey));
+    return;
+  }
+  const { description, media } = getMessageContent(ctx.message);
+  if (!description && !media.length) {
+    await ctx.reply(t(ctx, promptKey));
+    return;
+  }
+  await conversations.delete(pendingKey);
+  const edited = await storage.update(ctx.from.id, (user) => {
+    const item = findItemByPost(user, type, msgId, { includeClosed: false });
+    if (!item) return null;
+    const previousMedia = applyItemEdit(item, { description, media, categories: CATEGORIES });
+    if (!item.user || item.user.id !== ctx.from.id) {
+      item.user = getStoredUser(ctx.from);
+    }
+    // Changed content of published items is approved again before it's back in the channel
+    const resubmitted = Boolean(MODERATION_CHAT_ID) && isPublished(item);
+    if (resubmitted) returnToReview(item);
+    return { item: _.cloneDeep(item), previousMedia, resubmitted };
+  });
+  if (!edited) {
+    await ctx.reply(t(ctx, 'itemNotFound'));
+    return;
+  }
+  const { item, previousMedia, resubmitted } = edited;
+  const match = matchItem(item);
+  if (resubmitted) {
+    await resubmitForReview({ telegram: ctx.telegram, userId: ctx.from.id, type, item, match });
+    await ctx.reply(t(ctx, `${type}EditSubmittedForReview`, { channel: getTargetChannel(item) }));
+    return;
+  }
+  try {
+    await updateChannelPost({ telegram: ctx.telegram, type, item, previousMedia });
+  } catch (err) {
+    console.error(`Failed to update channel post for ${type} ${item.guid}:`, err);
+  }
+  await savePostFields(ctx.from.id, type, match, item);
+  await ctx.reply(t(ctx, `${type}Updated`, { channel: getItemChannel(item) }));
+  await ctx.reply(formatItemCard(ctx, item), getItemKeyboard(ctx, type, item));
+}
+// Helper to format timestamps consistently
+function formatDate(ts) {
+  return new Date(ts || Date.now()).toLocaleString();
+}
+// Consolidated handlers for prompt, listing, and deletion of needs and resources
+const itemTypes = ['need', 'resource'];
+// Preferred commands for creating items, shown in help
+const ITEM_COMMANDS = { need: '/get', resource: '/give' };
 itemTypes.forEach((type) => {
   const capitalized = type.charAt(0).toUpperCase() + type.slice(1);
   const plural = `${type}s`;
   const capitalizedPlural = plural.charAt(0).toUpperCase() + plural.slice(1);
   const buttonKey = `button${capitalized}`;
-  const promptKey = `prompt${capitalized}`;
   const deleteButtonKey = `delete${capitalized}Button`;
 
   // Prompt handlers (/need and keyboard)
@@ -661,8 +1534,8 @@ itemTypes.forEach((type) => {
       if (isBotSystemMessage(ctx.message.reply_to_message, bot.botInfo.id)) {
         // Just switch to the new mode without publishing
         const pendingKey = getPendingActionKey(ctx.from.id, ctx.chat.id);
-        pendingActions[pendingKey] = type;
-        await ctx.reply(t(ctx, promptKey));
+        await conversations.start(pendingKey, type);
+        await sendPrompt(ctx, type);
         return;
       }
 
@@ -672,17 +1545,14 @@ itemTypes.forEach((type) => {
 
     // Set pending and schedule prompt after delay
     const pendingKey = getPendingActionKey(ctx.from.id, ctx.chat.id);
-    pendingActions[pendingKey] = type;
+    await conversations.start(pendingKey, type);
     setTimeout(() => {
-      if (pendingActions[pendingKey] === type) {
-        ctx.reply(t(ctx, promptKey));
+      if (conversations.get(pendingKey)?.action === type) {
+        sendPrompt(ctx, type);
       }
     }, PROMPT_DELAY_MS);
   });
-  bot.hears([
-    t({ from: { language_code: 'en' } }, buttonKey),
-    t({ from: { language_code: 'ru' } }, buttonKey)
-  ], async (ctx) => {
+  bot.hears(getAllTranslations(buttonKey), async (ctx) => {
     // Disallow anonymous (chat/channel) accounts from creating items
     if (ctx.message.sender_chat) {
       await ctx.reply(t(ctx, 'anonymousNotAllowed'));
@@ -690,10 +1560,10 @@ itemTypes.forEach((type) => {
     }
     // Keyboard-triggered same flow with delayed prompt
     const pendingKey = getPendingActionKey(ctx.from.id, ctx.chat.id);
-    pendingActions[pendingKey] = type;
+    await conversations.start(pendingKey, type);
     setTimeout(() => {
-      if (pendingActions[pendingKey] === type) {
-        ctx.reply(t(ctx, promptKey));
+      if (conversations.get(pendingKey)?.action === type) {
+        sendPrompt(ctx, type);
       }
     }, PROMPT_DELAY_MS);
   });
@@ -705,12 +1575,17 @@ itemTypes.forEach((type) => {
       return;
     }
 
-    await listItems(ctx, type);
+    // Optional category filter, e.g. /needs food
+    const payload = (ctx.payload || '').trim();
+    const category = resolveCategory(payload);
+    if (payload && !category) {
+      return ctx.reply(t(ctx, 'unknownCategory', {
+        categories: CATEGORIES.map((id) => getCategoryName(ctx, id)).join(', ')
+      }));
+    }
+    await listItems(ctx, type, category);
   });
-  bot.hears([
-    t({ from: { language_code: 'en' } }, `buttonMy${capitalizedPlural}`),
-    t({ from: { language_code: 'ru' } }, `buttonMy${capitalizedPlural}`)
-  ], async (ctx) => {
+  bot.hears(getAllTranslations(`buttonMy${capitalizedPlural}`), async (ctx) => {
     // Disallow anonymous (chat/channel) accounts from creating items
     if (ctx.message.sender_chat) {
       await ctx.reply(t(ctx, 'anonymousNotAllowed'));
@@ -719,84 +1594,1022 @@ itemTypes.forEach((type) => {
     await listItems(ctx, type);
   });
 
-  // Deletion handlers
+  // Deletion handlers: close the item, keeping it in storage for history
   bot.action(new RegExp(`delete_${type}_(\\d+)`), async (ctx) => {
     const msgId = parseInt(ctx.match[1], 10);
-    const user = await storage.getUserData(ctx.from.id);
-    const collection = user[plural];
-    // Remove items matching channelMessageId
-    const removedItems = _.remove(collection, (it) => it.channelMessageId === msgId);
-    if (!removedItems.length) {
+    const item = await storage.update(ctx.from.id, (user) => {
+      const item = findItemByPost(user, type, msgId, { includeClosed: false });
+      if (!item) return null;
+      closeItem(item);
+      return _.cloneDeep(item);
+    });
+    if (!item) {
       return ctx.answerCbQuery('Not found');
     }
-    const removed = removedItems[0];
-    // Use helper to delete or mark as deleted
-    await deleteChannelMessage({ telegram: ctx.telegram, channel: CHANNEL_USERNAME, msgId });
-    await storage.writeDB();
-    const createdAt = formatDate(removed.createdAt);
-    const deletedAt = formatDate();
-    await ctx.editMessageText(
-      `${removed.description}\n\n${t(ctx, 'createdAt', { date: createdAt })}\n${t(ctx, 'deletedAt', { date: deletedAt })}`
-    );
+    await removeClosedPost({ telegram: ctx.telegram, userId: ctx.from.id, type, item });
+    await ctx.editMessageText(formatItemCard(ctx, item), getItemKeyboard(ctx, type, item));
     // answer the callback query to remove loading state
     await ctx.answerCbQuery();
   });
+
+  // Status handlers: mark reserved/fulfilled or reopen, reflecting status in the channel post
+  bot.action(new RegExp(`^status_${type}_(open|reserved|fulfilled)_(\\d+)$`), async (ctx) => {
+    const status = ctx.match[1];
+    const msgId = parseInt(ctx.match[2], 10);
+    // Reopening puts the post back into the channel, which banned users can't do
+    if (status === 'open' && getBan(ctx.from.id)) return ctx.answerCbQuery(t(ctx, 'userIsBanned'));
+    const { item, error, resubmitted } = await storage.update(ctx.from.id, (user) => {
+      const item = findItemByPost(user, type, msgId);
+      if (!item) return { error: 'Not found' };
+      if (isClosedByModerators(item)) return { error: t(ctx, 'closedByModerators') };
+      if (!canTransition(getItemStatus(item), status)) {
+        return { error: t(ctx, 'statusNotChanged') };
+      }
+      if (!item.user || item.user.id !== ctx.from.id) {
+        item.user = getStoredUser(ctx.from);
+      }
+      // Reopened posts return to the channel only after moderators approve them again
+      if (MODERATION_CHAT_ID && getItemStatus(item) === 'closed') {
+        delete item.closedReason;
+        returnToReview(item);
+        item.statusBeforeReview = status;
+        return { item: _.cloneDeep(item), resubmitted: true };
+      }
+      item.status = status;
+      item.statusUpdatedAt = new Date().toISOString();
+      return { item: _.cloneDeep(item) };
+    });
+    if (error) return ctx.answerCbQuery(error);
+    if (resubmitted) {
+      await resubmitForReview({ telegram: ctx.telegram, userId: ctx.from.id, type, item, match: matchItem(item) });
+      await ctx.editMessageText(formatItemCard(ctx, item), getItemKeyboard(ctx, type, item));
+      return ctx.answerCbQuery(t(ctx, 'reopenSubmittedForReview'));
+    }
+    try {
+      await updateChannelPost({ telegram: ctx.telegram, type, item, previousMedia: getItemMedia(item) });
+    } catch (err) {
+      console.error(`Failed to update channel post for ${type} ${item.guid}:`, err);
+    }
+    await savePostFields(ctx.from.id, type, { channelMessageId: msgId }, item);
+    await ctx.editMessageText(formatItemCard(ctx, item), getItemKeyboard(ctx, type, item));
+    await ctx.answerCbQuery(t(ctx, 'statusChanged', { status: t(ctx, `status_${status}`) }));
+  });
 });
 // Bump handlers to refresh old messages in the channel
 itemTypes.forEach((type) => {
-  const plural = `${type}s`;
-  bot.action(new RegExp(`bump_${type}_(\\d+)`), async (ctx) => {
+  bot.action(new RegExp(`^bump_${type}_(\\d+)$`), async (ctx) => {
+    const msgId = parseInt(ctx.match[1], 10);
+    if (getBan(ctx.from.id)) return ctx.answerCbQuery(t(ctx, 'userIsBanned'));
+    const { item, error } = await storage.update(ctx.from.id, (user) => {
+      const item = findItemByPost(user, type, msgId);
+      if (!item) return { error: 'Not found' };
+      // Only open items can be bumped
+      if (getItemStatus(item) !== 'open') return { error: t(ctx, 'bumpOnlyOpen') };
+      // Repair missing or damaged user info from the owner
+      if (!item.user || item.user.id !== ctx.from.id) {
+        item.user = getStoredUser(ctx.from);
+      }
+      return { item: _.cloneDeep(item) };
+    });
+    if (error) return ctx.answerCbQuery(error);
+    if (!await bumpItem({ telegram: ctx.telegram, userId: ctx.from.id, type, item })) {
+      return ctx.answerCbQuery('Not found');
+    }
+    // Update private chat message to show updatedAt (bump button is hidden for fresh items)
+    await ctx.editMessageText(formatItemCard(ctx, item), getItemKeyboard(ctx, type, item));
+    await ctx.answerCbQuery(t(ctx, 'bumped'));
+  });
+  // Edit handlers: wait for the new description and/or media
+  bot.action(new RegExp(`^edit_${type}_(\\d+)$`), async (ctx) => {
     const msgId = parseInt(ctx.match[1], 10);
     const user = await storage.getUserData(ctx.from.id);
-    const items = user[plural];
-    const item = _.find(items, (it) => it.channelMessageId === msgId);
+    const item = findItemByPost(user, type, msgId, { includeClosed: false });
     if (!item) return ctx.answerCbQuery('Not found');
-    // Repair missing or damaged user info from ctx.from
-    if (!item.user || item.user.id !== ctx.from.id) {
-      item.user = {
-        id: ctx.from.id,
-        username: ctx.from.username,
-        first_name: ctx.from.first_name,
-        last_name: ctx.from.last_name,
-      };
-    }
-    // Remove old channel message or mark as deleted
-    await deleteChannelMessage({ telegram: ctx.telegram, channel: CHANNEL_USERNAME, msgId });
-    // Build mention from repaired item.user
-    const mention = buildUserMention({ user: item.user });
-    const content = `${item.description}\n\n<i>${
-      type === 'need' ? 'Need of ' + mention : 'Resource provided by ' + mention
-    }.</i>`;
-    let post;
-    if (item.fileId) {
-      post = await ctx.telegram.sendPhoto(CHANNEL_USERNAME, item.fileId, { caption: content, parse_mode: 'HTML' });
+    const pendingKey = getPendingActionKey(ctx.from.id, ctx.chat.id);
+    await conversations.start(pendingKey, `edit_${type}_${msgId}`);
+    await ctx.answerCbQuery();
+    const capitalized = type.charAt(0).toUpperCase() + type.slice(1);
+    await ctx.reply(t(ctx, `promptEdit${capitalized}`));
+  });
+  // Matching mute/unmute handlers
+  bot.action(new RegExp(`^(mute|unmute)_${type}_(\\d+)$`), async (ctx) => {
+    const muted = ctx.match[1] === 'mute';
+    const msgId = parseInt(ctx.match[2], 10);
+    const item = await storage.update(ctx.from.id, (user) => {
+      const item = findItemByPost(user, type, msgId);
+      if (!item) return null;
+      item.matchingMuted = muted;
+      return _.cloneDeep(item);
+    });
+    if (!item) return ctx.answerCbQuery('Not found');
+    await ctx.editMessageReplyMarkup(getItemKeyboard(ctx, type, item).reply_markup);
+    await ctx.answerCbQuery(t(ctx, muted ? 'matchingMuted' : 'matchingUnmuted'));
+  });
+  // Category picker handlers (shown with the description prompt)
+  bot.action(new RegExp(`^category_${type}_([\\p{L}\\p{N}_]+)$`, 'u'), async (ctx) => {
+    const category = ctx.match[1];
+    const pendingKey = getPendingActionKey(ctx.from.id, ctx.chat.id);
+    const conversation = conversations.get(pendingKey);
+    if (conversation?.action !== type || !CATEGORIES.includes(category)) {
+      return ctx.answerCbQuery(t(ctx, 'noPendingAction'));
+    }
+    // Pressing the selected category again clears the selection
+    const selected = conversation.category === category ? undefined : category;
+    await conversations.set(pendingKey, { category: selected });
+    if (selected) {
+      await ctx.answerCbQuery(t(ctx, 'categorySelected', { category: getCategoryName(ctx, category) }));
     } else {
-      post = await ctx.telegram.sendMessage(CHANNEL_USERNAME, content, { parse_mode: 'HTML' });
+      await ctx.answerCbQuery(t(ctx, 'categoryCleared'));
     }
-    item.channelMessageId = post.message_id;
-    // Update updatedAt after bump
-    item.updatedAt = new Date().toISOString();
-    await storage.writeDB();
-    // Update private chat message to show updatedAt and remove bump button
+    // The prompt is shared in group chats, so only mark the selection in private chats
+    if (ctx.chat.type === 'private') {
+      const anonymous = isAnonymousChoice(ctx.from.id, conversation);
+      await ctx.editMessageReplyMarkup(getPromptKeyboard(ctx, type, { category: selected, anonymous }).reply_markup);
+    }
+  });
+  // Anonymity toggle handlers (shown with the description prompt)
+  bot.action(`anonymous_${type}`, async (ctx) => {
+    const pendingKey = getPendingActionKey(ctx.from.id, ctx.chat.id);
+    const conversation = conversations.get(pendingKey);
+    if (conversation?.action !== type) {
+      return ctx.answerCbQuery(t(ctx, 'noPendingAction'));
+    }
+    const anonymous = !isAnonymousChoice(ctx.from.id, conversation);
+    await conversations.set(pendingKey, { anonymous });
+    await ctx.answerCbQuery(t(ctx, anonymous ? 'postingAnonymously' : 'postingWithName'));
+    if (ctx.chat.type === 'private') {
+      await ctx.editMessageReplyMarkup(getPromptKeyboard(ctx, type, { category: conversation.category, anonymous }).reply_markup);
+    }
+  });
+});
+// Helper to render one page of search results as HTML text with pagination buttons
+function buildSearchPage(ctx, search, page) {
+  const results = searchItems({
+    users: storage.db.data.users,
+    terms: search.terms,
+    type: search.type,
+    category: search.category,
+    filter: isPublished
+  });
+  if (!results.length) {
+    return [t(ctx, 'searchNoResults', { query: _.escape(search.query) }), {}];
+  }
+  const { items, page: current, pages } = paginate(results, page, SEARCH_PAGE_SIZE);
+  const lines = items.map(({ type, item }, index) => {
+    const capitalized = type.charAt(0).toUpperCase() + type.slice(1);
+    let line = `${current * SEARCH_PAGE_SIZE + index + 1}. <b>${t(ctx, `search${capitalized}Label`)}</b>: ${_.escape(_.truncate(item.description, { length: 200 }))}`;
+    line += `\n<i>${formatDate(item.updatedAt || item.createdAt)}</i>`;
+    const status = getItemStatus(item);
+    if (status !== 'open') line += ` — ${t(ctx, `status_${status}`)}`;
+    if (item.channelMessageId) {
+      line += ` — <a href="${getItemPostLink(item)}">${t(ctx, 'openPost')}</a>`;
+    }
+    return line;
+  });
+  const header = t(ctx, 'searchResults', {
+    query: _.escape(search.query),
+    count: results.length,
+    page: current + 1,
+    pages
+  });
+  const buttons = [];
+  if (current > 0) {
+    buttons.push(Markup.button.callback(t(ctx, 'previousPageButton'), `search_page_${current - 1}`));
+  }
+  if (current < pages - 1) {
+    buttons.push(Markup.button.callback(t(ctx, 'nextPageButton'), `search_page_${current + 1}`));
+  }
+  return [`${header}\n\n${lines.join('\n\n')}`, Markup.inlineKeyboard([buttons])];
+}
+
+// Helper to reply with open items near a location, restoring the main keyboard
+async function replyNearby(ctx, location) {
+  await storage.readDB();
+  const results = findNearbyItems({
+    users: storage.db.data.users,
+    location,
+    radiusKm: NEARBY_RADIUS_KM,
+    filter: (item) => Boolean(item.channelMessageId) && getItemStatus(item) === 'open'
+  });
+  const extra = { ...getMainKeyboard(ctx), parse_mode: 'HTML', disable_web_page_preview: true };
+  if (!results.length) {
+    return ctx.reply(t(ctx, 'nearbyNoResults', { radius: NEARBY_RADIUS_KM }), extra);
+  }
+  const lines = _.take(results, NEARBY_LIMIT).map(({ type, item, distance }, index) => {
     const capitalized = type.charAt(0).toUpperCase() + type.slice(1);
-    const deleteButtonKey = `delete${capitalized}Button`;
-    const createdAtStr = formatDate(item.createdAt);
-    const updatedAtStr = formatDate();
-    await ctx.editMessageText(
-      `${item.description}\n\n${t(ctx, 'createdAt', { date: createdAtStr })}\n${t(ctx, 'updatedAt', { date: updatedAtStr })}`,
-      Markup.inlineKeyboard([
-        [Markup.button.callback(
-          t(ctx, deleteButtonKey),
-          `delete_${type}_${item.channelMessageId}`
-        )]
-      ])
+    return `${index + 1}. <b>${t(ctx, `search${capitalized}Label`)}</b>: ${_.escape(_.truncate(item.description, { length: 200 }))}`
+      + `\n<i>${t(ctx, 'distanceKm', { distance: distance.toFixed(1) })}, ${_.escape(getAreaName(item.location, getLanguage(ctx)))}</i>`
+      + ` — <a href="${getItemPostLink(item)}">${t(ctx, 'openPost')}</a>`;
+  });
+  const header = t(ctx, 'nearbyResults', { count: results.length, radius: NEARBY_RADIUS_KM });
+  await ctx.reply(`${header}\n\n${lines.join('\n\n')}`, extra);
+}
+
+// Nearby command: /nearby [city], or share a location afterwards; private chat only
+bot.command('nearby', async (ctx) => {
+  // Ignore commands in forwarded messages
+  if (isForwardedMessage(ctx.message)) {
+    return;
+  }
+  if (ctx.chat.type !== 'private') return;
+  const cityName = (ctx.payload || '').trim();
+  if (cityName) {
+    const city = findCity(cityName);
+    if (!city) {
+      return ctx.reply(t(ctx, 'unknownCity', { cities: CITIES.map((c) => c.names[getLanguage(ctx)] || c.names.en).join(', ') }));
+    }
+    return replyNearby(ctx, city);
+  }
+  const pendingKey = getPendingActionKey(ctx.from.id, ctx.chat.id);
+  await conversations.start(pendingKey, 'nearby');
+  await ctx.reply(
+    t(ctx, 'promptNearby'),
+    Markup.keyboard([[Markup.button.locationRequest(t(ctx, 'shareLocationButton'))]]).resize().oneTime()
+  );
+});
+
+// City command: attach a bundled city as location to the item being created
+bot.command('city', async (ctx) => {
+  // Ignore commands in forwarded messages
+  if (isForwardedMessage(ctx.message)) {
+    return;
+  }
+  const pendingKey = getPendingActionKey(ctx.from.id, ctx.chat.id);
+  if (!itemTypes.includes(conversations.get(pendingKey)?.action)) {
+    return ctx.reply(t(ctx, 'noPendingAction'));
+  }
+  const city = findCity(ctx.payload);
+  if (!city) {
+    return ctx.reply(t(ctx, 'unknownCity', { cities: CITIES.map((c) => c.names[getLanguage(ctx)] || c.names.en).join(', ') }));
+  }
+  const { location } = await conversations.set(pendingKey, {
+    location: { latitude: city.latitude, longitude: city.longitude, city: city.id }
+  });
+  await ctx.reply(t(ctx, 'locationAttached', { area: getAreaName(location, getLanguage(ctx)) }));
+});
+
+// Search command: /search [get|give] <query>, private chat only
+bot.command('search', async (ctx) => {
+  // Ignore commands in forwarded messages
+  if (isForwardedMessage(ctx.message)) {
+    return;
+  }
+  if (ctx.chat.type !== 'private') return;
+  const query = (ctx.payload || '').trim();
+  const { type, category, terms } = parseSearchQuery(query, CATEGORIES);
+  if (!terms.length && !category) {
+    return ctx.reply(t(ctx, 'searchUsage'));
+  }
+  // Persist last query so pagination buttons keep working after restarts
+  const lastSearch = { query, type, category, terms };
+  await storage.update(ctx.from.id, (user) => {
+    user.lastSearch = lastSearch;
+  });
+  const [text, extra] = buildSearchPage(ctx, lastSearch, 0);
+  await ctx.reply(text, { ...extra, parse_mode: 'HTML', disable_web_page_preview: true });
+});
+bot.action(/^search_page_(\d+)$/, async (ctx) => {
+  const page = parseInt(ctx.match[1], 10);
+  const user = await storage.getUserData(ctx.from.id);
+  if (!user.lastSearch) return ctx.answerCbQuery('Not found');
+  const [text, extra] = buildSearchPage(ctx, user.lastSearch, page);
+  await ctx.editMessageText(text, { ...extra, parse_mode: 'HTML', disable_web_page_preview: true });
+  await ctx.answerCbQuery();
+});
+
+// Helper to build an inline query result for a published item
+function buildInlineResult(ctx, type, item, { withMedia = true } = {}) {
+  const capitalized = type.charAt(0).toUpperCase() + type.slice(1);
+  const content = buildChannelPost(type, item, { escape: true });
+  const title = `${t(ctx, `search${capitalized}Label`)}: ${_.truncate(item.description, { length: 60 })}`;
+  const reply_markup = Markup.inlineKeyboard([
+    [Markup.button.url(t(ctx, 'openPostButton'), getItemPostLink(item))]
+  ]).reply_markup;
+  const id = item.guid || `${type}_${item.channelMessageId}`;
+  // Albums are shared by their first file
+  const media = withMedia ? buildInlineMedia(getItemMedia(item)[0]) : null;
+  if (media) {
+    return {
+      ...media,
+      id,
+      title,
+      description: item.description,
+      caption: content,
+      parse_mode: 'HTML',
+      reply_markup
+    };
+  }
+  return {
+    type: 'article',
+    id,
+    title,
+    description: _.truncate(item.description, { length: 200 }),
+    input_message_content: { message_text: content, parse_mode: 'HTML', disable_web_page_preview: true },
+    reply_markup
+  };
+}
+
+// Inline mode: share published items from any chat, own items first for empty queries
+bot.on('inline_query', async (ctx) => {
+  await storage.readDB();
+  const query = ctx.inlineQuery.query.trim();
+  const { type, category, terms } = parseSearchQuery(query, CATEGORIES);
+  let results = searchItems({
+    users: storage.db.data.users,
+    terms,
+    type,
+    category,
+    filter: (item) => Boolean(item.channelMessageId && item.user) && getItemStatus(item) === 'open'
+  });
+  if (!query) {
+    results = prioritizeOwner(results, ctx.from.id);
+  }
+  const offset = parseInt(ctx.inlineQuery.offset, 10) || 0;
+  const { items, page, pages } = paginate(results, offset, INLINE_PAGE_SIZE);
+  const extra = {
+    cache_time: 10,
+    is_personal: true,
+    next_offset: page < pages - 1 ? String(page + 1) : ''
+  };
+  try {
+    await ctx.answerInlineQuery(items.map(({ type: itemType, item }) => buildInlineResult(ctx, itemType, item)), extra);
+  } catch (err) {
+    // Stored file ids may be rejected (e.g. expired or from another bot); retry with text-only results
+    console.error('Failed to answer inline query with media, falling back to text:', err.message);
+    await ctx.answerInlineQuery(
+      items.map(({ type: itemType, item }) => buildInlineResult(ctx, itemType, item, { withMedia: false })),
+      extra
     );
-    await ctx.answerCbQuery(t(ctx, 'bumped'));
+  }
+});
+
+/**
+ * Send "still relevant?" reminders for stale open items and archive items whose
+ * reminders went unanswered. Reminder state is stored on items, so the check
+ * is driven purely from storage and survives restarts.
+ * @param {Object} options
+ * @param {Object} options.telegram - Telegram API client.
+ */
+async function processReminders({ telegram }) {
+  await storage.readDB();
+  const now = Date.now();
+  const day = 24 * 60 * 60 * 1000;
+  const options = { now, remindAfterMs: REMIND_AFTER_DAYS * day, graceMs: REMIND_GRACE_DAYS * day };
+  // Collect due items first, then handle each one in its own update
+  const due = [];
+  for (const [userId, user] of Object.entries(storage.db.data.users || {})) {
+    for (const type of itemTypes) {
+      for (const item of user[`${type}s`] || []) {
+        if (item.channelMessageId && getReminderAction(item, options)) {
+          due.push({ userId, type, channelMessageId: item.channelMessageId });
+        }
+      }
+    }
+  }
+  for (const { userId, type, channelMessageId } of due) {
+    // Record the action first, so the next run doesn't repeat it while the owner is notified
+    const result = await storage.update(userId, (user) => {
+      const item = _.find(user[`${type}s`], { channelMessageId });
+      const action = item && getReminderAction(item, options);
+      if (!action) return null;
+      if (action === 'remind') {
+        item.reminder = { ...item.reminder, sentAt: new Date(now).toISOString() };
+      } else {
+        closeItem(item, 'expired');
+      }
+      return { action, item: _.cloneDeep(item) };
+    });
+    if (!result) continue;
+    const { action, item } = result;
+    const capitalized = type.charAt(0).toUpperCase() + type.slice(1);
+    const ownerCtx = getUserCtx(item.user);
+    const description = _.truncate(item.description, { length: 200 });
+    if (action === 'remind') {
+      const msgId = item.channelMessageId;
+      try {
+        await telegram.sendMessage(
+          userId,
+          t(ownerCtx, `reminder${capitalized}`, { description }),
+          Markup.inlineKeyboard([[
+            Markup.button.callback(t(ownerCtx, 'bumpButton'), `remind_bump_${type}_${msgId}`),
+            Markup.button.callback(t(ownerCtx, 'reminderCloseButton'), `remind_close_${type}_${msgId}`),
+            Markup.button.callback(t(ownerCtx, 'reminderKeepButton'), `remind_keep_${type}_${msgId}`)
+          ]])
+        );
+      } catch (err) {
+        // Unreachable owners are archived after the grace period as well
+        console.error(`Failed to send reminder to user ${userId}:`, err.message);
+      }
+    } else {
+      await removeClosedPost({ telegram, userId, type, item });
+      try {
+        await telegram.sendMessage(userId, t(ownerCtx, `archived${capitalized}`, { description }));
+      } catch (err) {
+        console.error(`Failed to notify user ${userId} about archived ${type}:`, err.message);
+      }
+    }
+  }
+}
+// Reminder answers: bump, close or keep the item as is
+bot.action(/^remind_(bump|close|keep)_(need|resource)_(\d+)$/, async (ctx) => {
+  const [, answer, type] = ctx.match;
+  const msgId = parseInt(ctx.match[3], 10);
+  if (answer === 'bump' && getBan(ctx.from.id)) return ctx.answerCbQuery(t(ctx, 'userIsBanned'));
+  let item = await storage.update(ctx.from.id, (user) => {
+    const item = findItemByPost(user, type, msgId);
+    if (!item || getItemStatus(item) !== 'open') return null;
+    if (answer === 'bump') {
+      // Repair missing or damaged user info from the owner
+      if (!item.user || item.user.id !== ctx.from.id) {
+        item.user = getStoredUser(ctx.from);
+      }
+    } else if (answer === 'close') {
+      closeItem(item);
+    } else {
+      item.reminder = { ...item.reminder, keptAt: new Date().toISOString() };
+    }
+    return _.cloneDeep(item);
+  });
+  if (item && answer === 'bump') {
+    item = await bumpItem({ telegram: ctx.telegram, userId: ctx.from.id, type, item });
+  } else if (item && answer === 'close') {
+    await removeClosedPost({ telegram: ctx.telegram, userId: ctx.from.id, type, item });
+  }
+  if (!item) {
+    await ctx.editMessageReplyMarkup(undefined);
+    return ctx.answerCbQuery('Not found');
+  }
+  const answerKey = { bump: 'bumped', close: 'reminderClosed', keep: 'reminderKept' }[answer];
+  await ctx.editMessageText(`${_.truncate(item.description, { length: 200 })}\n\n${t(ctx, answerKey)}`);
+  await ctx.answerCbQuery(t(ctx, answerKey));
+});
+
+// Helper to check that a moderation action comes from the moderators chat
+function isModeratorsChat(ctx, chatId = MODERATION_CHAT_ID) {
+  return Boolean(chatId) && String(ctx.chat?.id) === String(chatId);
+}
+// Moderation buttons: approve right away, ask for a reason or corrected description otherwise
+bot.action(/^review_(approve|reject|edit)_([\w-]+)$/, async (ctx) => {
+  if (!isModeratorsChat(ctx)) return ctx.answerCbQuery(t(ctx, 'moderatorsOnly'));
+  const [, step, guid] = ctx.match;
+  const found = await findStoredItem({ guid });
+  if (!found || getItemStatus(found.item) !== 'pending_review') {
+    await ctx.editMessageReplyMarkup(undefined);
+    return ctx.answerCbQuery(t(ctx, 'reviewAlreadyDone'));
+  }
+  if (step === 'approve') {
+    const item = await reviewItem({ ctx, guid, decision: 'approved' });
+    return ctx.answerCbQuery(t(ctx, item ? 'reviewApproved' : 'reviewAlreadyDone'));
+  }
+  const pendingKey = getPendingActionKey(ctx.from.id, ctx.chat.id);
+  await conversations.start(pendingKey, `review_${step}_${guid}`);
+  await ctx.answerCbQuery();
+  // Force reply so the answer reaches the bot in groups with privacy mode
+  await ctx.reply(t(ctx, step === 'reject' ? 'promptRejectReason' : 'promptReviewEdit'), Markup.forceReply());
+});
+// Re-send review messages for all items awaiting review
+bot.command('queue', async (ctx) => {
+  if (!isModeratorsChat(ctx)) return;
+  await storage.readDB();
+  const pending = [];
+  for (const [userId, user] of Object.entries(storage.db.data.users || {})) {
+    for (const type of itemTypes) {
+      for (const item of user[`${type}s`] || []) {
+        if (getItemStatus(item) === 'pending_review') pending.push({ userId, type, guid: item.guid });
+      }
+    }
+  }
+  if (!pending.length) return ctx.reply(t(ctx, 'reviewQueueEmpty'));
+  for (const { userId, type, guid } of pending) {
+    const user = await storage.getUserData(userId);
+    const item = _.cloneDeep(_.find(user[`${type}s`], { guid }));
+    if (!item || getItemStatus(item) !== 'pending_review') continue;
+    try {
+      await sendForReview({ telegram: ctx.telegram, type, item });
+    } catch (err) {
+      console.error(`Failed to send ${type} ${guid} for review:`, err);
+      continue;
+    }
+    await savePostFields(userId, type, { guid }, item);
+  }
+});
+// Report card buttons: remove the reported post or dismiss the reports
+bot.action(/^report_(remove|dismiss)_([\w-]+)$/, async (ctx) => {
+  if (!isModeratorsChat(ctx, REPORTS_CHAT_ID)) return ctx.answerCbQuery(t(ctx, 'moderatorsOnly'));
+  const [, decision, guid] = ctx.match;
+  const found = await findStoredItem({ guid });
+  if (!found) {
+    await ctx.editMessageReplyMarkup(undefined);
+    return ctx.answerCbQuery(t(ctx, 'reportItemNotFound'));
+  }
+  const { userId, type } = found;
+  const result = await storage.update(userId, (user) => {
+    const item = _.find(user[`${type}s`], { guid });
+    if (!item) return null;
+    if (decision === 'remove') {
+      const closed = isPublished(item);
+      if (closed) {
+        closeItem(item, 'removed');
+      } else if (item.closedReason === 'reported') {
+        item.closedReason = 'removed';
+      }
+      return { item: _.cloneDeep(item), closed };
+    }
+    item.reportsDismissedAt = new Date().toISOString();
+    // Posts hidden after reports go back to the channel
+    const reopened = getItemStatus(item) === 'closed' && item.closedReason === 'reported';
+    if (reopened) {
+      item.status = 'open';
+      item.statusUpdatedAt = item.reportsDismissedAt;
+      delete item.closedReason;
+    }
+    return { item: _.cloneDeep(item), reopened };
+  });
+  const item = result?.item;
+  if (result?.closed) {
+    await removeClosedPost({ telegram: ctx.telegram, userId, type, item });
+  } else if (result?.reopened) {
+    try {
+      await publishItem({ telegram: ctx.telegram, type, item });
+    } catch (err) {
+      console.error(`Failed to republish ${type} ${guid}:`, err);
+      item.channelMessageId = null;
+    }
+    await savePostFields(userId, type, { guid }, item);
+  }
+  await ctx.editMessageReplyMarkup(undefined);
+  if (!item) return ctx.answerCbQuery(t(ctx, 'reportItemNotFound'));
+  const moderator = _.escape(ctx.from.username ? `@${ctx.from.username}` : ctx.from.first_name);
+  await ctx.reply(t(ctx, decision === 'remove' ? 'reportRemovedBy' : 'reportDismissedBy', { moderator }), {
+    parse_mode: 'HTML',
+    reply_to_message_id: ctx.callbackQuery.message?.message_id
+  });
+  if (decision === 'remove') {
+    const ownerCtx = getUserCtx(item.user);
+    try {
+      await ctx.telegram.sendMessage(userId, t(ownerCtx, `${type}RemovedByModerators`, {
+        description: _.truncate(item.description, { length: 200 })
+      }));
+    } catch (err) {
+      console.error(`Failed to notify user ${userId} about removal of ${type} ${guid}:`, err.message);
+    }
+  }
+  await ctx.answerCbQuery(t(ctx, decision === 'remove' ? 'postRemoved' : 'reportDismissed'));
+});
+
+// Response buttons: the owner accepts or declines a response, the responder is notified
+bot.action(/^response_(accept|decline)_([\w-]+)_(\d+)$/, async (ctx) => {
+  const [, decision, guid] = ctx.match;
+  const index = parseInt(ctx.match[3], 10);
+  const status = decision === 'accept' ? 'accepted' : 'declined';
+  const found = await findStoredItem({ guid });
+  if (!found || String(found.userId) !== String(ctx.from.id)) {
+    await ctx.editMessageReplyMarkup(undefined);
+    return ctx.answerCbQuery(t(ctx, 'itemNotFound'));
+  }
+  const { type } = found;
+  const result = await storage.update(found.userId, (user) => {
+    const item = _.find(user[`${type}s`], { guid });
+    const response = item && decideResponse(item, index, status);
+    return response ? { item: _.cloneDeep(item), response: _.cloneDeep(response) } : null;
+  });
+  if (!result) {
+    await ctx.editMessageReplyMarkup(undefined);
+    return ctx.answerCbQuery(t(ctx, 'responseAlreadyDecided'));
+  }
+  const { item, response } = result;
+  await ctx.editMessageText(buildResponseMessage(ctx, type, item, response, t(ctx, `responseStatus_${status}`)), {
+    parse_mode: 'HTML',
+    ...getResponseKeyboard(ctx, guid, index, response)
+  });
+  const responderCtx = getUserCtx(response.responder);
+  try {
+    // Owners of anonymous items stay hidden, they can still start a chat via the bot
+    const key = item.anonymous && status === 'accepted' ? 'responseAcceptedAnonymous' : `response${_.capitalize(status)}`;
+    await ctx.telegram.sendMessage(response.responderId, t(responderCtx, key, {
+      description: _.escape(_.truncate(item.description, { length: 200 })),
+      owner: buildUserMention({ user: item.user })
+    }), { parse_mode: 'HTML' });
+  } catch (err) {
+    console.error(`Failed to notify user ${response.responderId} about response on ${type} ${guid}:`, err.message);
+  }
+  await ctx.answerCbQuery(t(ctx, `responseStatus_${status}`));
+});
+
+// Helper to read a relay session, see relay.js
+async function getRelaySession(sessionId) {
+  await storage.readDB();
+  return storage.db.data.relaySessions?.[sessionId];
+}
+// Helper to get the stored user info of the other party of a relay session
+function getRelayCounterpart(session, userId) {
+  const counterpartId = getCounterpartId(session, userId);
+  return String(counterpartId) === String(session.owner.id) ? session.owner : session.responder;
+}
+// Helper to relay the next messages of a user in the private chat to a session
+function openRelay(userId, sessionId) {
+  return conversations.start(getPendingActionKey(userId, userId), `relay_${sessionId}`);
+}
+// Helper to stop relaying messages of a user if the private chat still points at the session
+async function closeRelay(userId, sessionId) {
+  const pendingKey = getPendingActionKey(userId, userId);
+  if (conversations.get(pendingKey)?.action === `relay_${sessionId}`) await conversations.delete(pendingKey);
+}
+// Helper to build the buttons attached to relayed messages
+function getRelayKeyboard(ctx, sessionId) {
+  return Markup.inlineKeyboard([[
+    Markup.button.callback(t(ctx, 'relayReplyButton'), `relay_reply_${sessionId}`),
+    Markup.button.callback(t(ctx, 'relayBlockButton'), `relay_block_${sessionId}`)
+  ]]);
+}
+// Helper to stop relaying an ended session for both parties and tell the counterpart
+async function notifyRelayEnded({ telegram, session, userId }) {
+  const counterpart = getRelayCounterpart(session, userId);
+  await closeRelay(userId, session.id);
+  await closeRelay(counterpart.id, session.id);
+  try {
+    await telegram.sendMessage(counterpart.id, t(getUserCtx(counterpart), 'relayEnded'));
+  } catch (err) {
+    console.error(`Failed to notify user ${counterpart.id} about the end of relay ${session.id}:`, err.message);
+  }
+}
+// Helper to end a relay session on behalf of a party, answering in their chat
+async function endRelay(ctx, sessionId) {
+  const session = sessionId && await storage.updateData((data) => {
+    const session = data.relaySessions?.[sessionId];
+    if (!session || !getCounterpartId(session, ctx.from.id)) return null;
+    return endRelaySession(session, { userId: ctx.from.id }) ? _.cloneDeep(session) : null;
+  });
+  if (!session) {
+    if (sessionId) await closeRelay(ctx.from.id, sessionId);
+    return ctx.reply(t(ctx, 'relayNoActiveChat'));
+  }
+  await notifyRelayEnded({ telegram: ctx.telegram, session, userId: ctx.from.id });
+  await ctx.reply(t(ctx, 'relayEndedByYou'));
+}
+// Helper to copy a message (text, photo, location or album of photos) to the counterpart,
+// so neither party sees the other's account
+async function handleRelayMessage(ctx, sessionId) {
+  const pendingKey = getPendingActionKey(ctx.from.id, ctx.chat.id);
+  const session = await getRelaySession(sessionId);
+  if (!isRelayActive(session) || !getCounterpartId(session, ctx.from.id)) {
+    await conversations.delete(pendingKey);
+    await ctx.reply(t(ctx, 'relayNotActive'));
+    return;
+  }
+  const message = ctx.message;
+  if (message.text?.startsWith('/')) {
+    await ctx.reply(t(ctx, 'relayCommandNotSent'));
+    return;
+  }
+  const parts = message.album ? _.sortBy(message.album, 'message_id') : [message];
+  if (!parts.every((part) => part.text || part.photo || part.location)) {
+    await ctx.reply(t(ctx, 'relayUnsupported'));
+    return;
+  }
+  const counterpart = getRelayCounterpart(session, ctx.from.id);
+  const counterpartCtx = getUserCtx(counterpart);
+  try {
+    for (const [index, part] of parts.entries()) {
+      const extra = index === parts.length - 1 ? getRelayKeyboard(counterpartCtx, sessionId) : {};
+      await ctx.telegram.copyMessage(counterpart.id, ctx.chat.id, part.message_id, extra);
+    }
+  } catch (err) {
+    console.error(`Failed to relay a message in session ${sessionId}:`, err.response?.description || err.message);
+    await ctx.reply(t(ctx, 'relayDeliveryFailed'));
+    return;
+  }
+  await storage.updateData((data) => {
+    const stored = data.relaySessions?.[sessionId];
+    if (!stored) return;
+    stored.messageCount = (stored.messageCount || 0) + 1;
+    stored.lastMessageAt = new Date().toISOString();
+  });
+}
+// Response "Chat via bot" button: the owner starts a relay session with the responder
+bot.action(/^relay_start_([\w-]+)_(\d+)$/, async (ctx) => {
+  const guid = ctx.match[1];
+  const index = parseInt(ctx.match[2], 10);
+  const found = await findStoredItem({ guid });
+  const response = found?.item.responses?.[index];
+  if (!response || String(found.userId) !== String(ctx.from.id) || response.status === 'declined') {
+    return ctx.answerCbQuery(t(ctx, 'itemNotFound'));
+  }
+  const sessionId = getRelaySessionId(guid, response.responderId);
+  const session = await storage.updateData((data) => {
+    data.relaySessions ||= {};
+    const session = startRelaySession(data.relaySessions[sessionId], {
+      guid,
+      type: found.type,
+      owner: getStoredUser(ctx.from),
+      responder: response.responder
+    });
+    if (session) data.relaySessions[sessionId] = session;
+    return session && _.cloneDeep(session);
+  });
+  if (!session) return ctx.answerCbQuery(t(ctx, 'relayBlocked'));
+  await openRelay(ctx.from.id, sessionId);
+  await ctx.answerCbQuery();
+  const description = _.truncate(found.item.description, { length: 200 });
+  await ctx.reply(t(ctx, 'relayStarted', { description }));
+  const responderCtx = getUserCtx(response.responder);
+  try {
+    await ctx.telegram.sendMessage(response.responderId, t(responderCtx, 'relayInvited', { description }), getRelayKeyboard(responderCtx, sessionId));
+  } catch (err) {
+    console.error(`Failed to invite user ${response.responderId} to relay ${sessionId}:`, err.message);
+  }
+});
+// Relayed message "Reply" button: send the next messages to this session
+bot.action(/^relay_reply_([\w-]+)$/, async (ctx) => {
+  const sessionId = ctx.match[1];
+  const session = await getRelaySession(sessionId);
+  if (!isRelayActive(session) || !getCounterpartId(session, ctx.from.id)) {
+    return ctx.answerCbQuery(t(ctx, 'relayNotActive'));
+  }
+  await openRelay(ctx.from.id, sessionId);
+  await ctx.answerCbQuery();
+  await ctx.reply(t(ctx, 'relayReplyPrompt'));
+});
+// Relayed message "Block and report" button: end the session for good and tell moderators
+bot.action(/^relay_block_([\w-]+)$/, async (ctx) => {
+  const sessionId = ctx.match[1];
+  const result = await storage.updateData((data) => {
+    const session = data.relaySessions?.[sessionId];
+    if (!session || !getCounterpartId(session, ctx.from.id) || session.blockedBy) return null;
+    const wasActive = endRelaySession(session, { userId: ctx.from.id, block: true });
+    return { session: _.cloneDeep(session), wasActive };
+  });
+  if (!result) return ctx.answerCbQuery(t(ctx, 'relayNotActive'));
+  const { session, wasActive } = result;
+  if (wasActive) await notifyRelayEnded({ telegram: ctx.telegram, session, userId: ctx.from.id });
+  if (REPORTS_CHAT_ID) {
+    const reporter = String(session.owner.id) === String(ctx.from.id) ? session.owner : session.responder;
+    const found = await findStoredItem({ guid: session.guid });
+    try {
+      await ctx.telegram.sendMessage(REPORTS_CHAT_ID, t(moderatorsCtx, 'relayReport', {
+        reporter: buildUserMention({ user: reporter }),
+        reported: buildUserMention({ user: getRelayCounterpart(session, ctx.from.id) }),
+        description: _.escape(_.truncate(found?.item.description || '', { length: 200 }))
+      }), { parse_mode: 'HTML' });
+    } catch (err) {
+      console.error(`Failed to report relay ${sessionId}:`, err.message);
+    }
+  }
+  await ctx.answerCbQuery();
+  await ctx.reply(t(ctx, 'relayBlockedByYou'));
+});
+
+// Helper to check whether the sender may use admin commands
+function isAdmin(ctx) {
+  return ADMIN_IDS.includes(String(ctx.from?.id));
+}
+// Helper to get the ban record of a user, or null when the user is not banned
+function getBan(userId) {
+  return storage.db.data.bans?.[String(userId)] || null;
+}
+// Helper to get the /settings of a group chat; private chats always use defaults
+function getChatSettings(chat) {
+  if (!chat || chat.type === 'private') return getGroupSettings(undefined, chat?.id);
+  return getGroupSettings(storage.db.data.groupSettings, chat.id);
+}
+// Helper to close all items of a user, removing their channel posts; returns the number of closed items
+async function purgeUserItems({ telegram, userId }) {
+  const closed = await storage.update(userId, (user) => {
+    const closed = [];
+    for (const type of itemTypes) {
+      for (const item of user[`${type}s`] || []) {
+        const status = getItemStatus(item);
+        if (status === 'closed' || status === 'rejected') continue;
+        closeItem(item, 'banned');
+        closed.push({ type, item: _.cloneDeep(item) });
+      }
+    }
+    return closed;
+  });
+  for (const { type, item } of closed) {
+    await removeClosedPost({ telegram, userId, type, item });
+  }
+  return closed.length;
+}
+// Admin command: /ban <id|@username> [reason], offers to remove the user's posts
+bot.command('ban', async (ctx) => {
+  if (isForwardedMessage(ctx.message)) return;
+  if (!isAdmin(ctx)) return ctx.reply(t(ctx, 'adminsOnly'));
+  const parsed = parseUserTarget(ctx.payload);
+  if (!parsed) return ctx.reply(t(ctx, 'banUsage'));
+  await storage.readDB();
+  const userId = resolveUserId(storage.db.data.users, parsed.target);
+  if (!userId) return ctx.reply(t(ctx, 'userNotFound', { user: parsed.target }));
+  if (ADMIN_IDS.includes(userId)) return ctx.reply(t(ctx, 'cannotBanAdmin'));
+  const ban = { bannedAt: new Date().toISOString(), bannedBy: ctx.from.id };
+  if (parsed.target.startsWith('@')) ban.username = parsed.target.slice(1);
+  if (parsed.reason) ban.reason = parsed.reason;
+  await storage.updateData((data) => {
+    data.bans = { ...data.bans, [userId]: ban };
+  });
+  await ctx.reply(
+    t(ctx, 'userBanned', { user: userId }),
+    Markup.inlineKeyboard([[Markup.button.callback(t(ctx, 'purgePostsButton'), `ban_purge_${userId}`)]])
+  );
+});
+bot.action(/^ban_purge_(-?\d+)$/, async (ctx) => {
+  if (!isAdmin(ctx)) return ctx.answerCbQuery(t(ctx, 'adminsOnly'));
+  const userId = ctx.match[1];
+  // Answer right away, removing many posts takes a while
+  await ctx.answerCbQuery();
+  await ctx.editMessageReplyMarkup(undefined);
+  const count = await purgeUserItems({ telegram: ctx.telegram, userId });
+  await ctx.reply(t(ctx, 'userPostsPurged', { user: userId, count }));
+});
+bot.command('unban', async (ctx) => {
+  if (isForwardedMessage(ctx.message)) return;
+  if (!isAdmin(ctx)) return ctx.reply(t(ctx, 'adminsOnly'));
+  const parsed = parseUserTarget(ctx.payload);
+  if (!parsed) return ctx.reply(t(ctx, 'unbanUsage'));
+  await storage.readDB();
+  const bans = storage.db.data.bans || {};
+  const username = parsed.target.replace(/^@/, '').toLowerCase();
+  // Banned usernames are kept on the ban record, so they resolve even without stored items
+  const userId = _.findKey(bans, (ban) => ban.username?.toLowerCase() === username)
+    || resolveUserId(storage.db.data.users, parsed.target);
+  if (!userId || !bans[userId]) return ctx.reply(t(ctx, 'userNotBanned', { user: parsed.target }));
+  await storage.updateData((data) => {
+    data.bans = _.omit(data.bans, userId);
+  });
+  await ctx.reply(t(ctx, 'userUnbanned', { user: userId }));
+});
+bot.command('banned', async (ctx) => {
+  if (isForwardedMessage(ctx.message)) return;
+  if (!isAdmin(ctx)) return ctx.reply(t(ctx, 'adminsOnly'));
+  await storage.readDB();
+  const bans = Object.entries(storage.db.data.bans || {});
+  if (!bans.length) return ctx.reply(t(ctx, 'noBannedUsers'));
+  const lines = bans.map(([userId, ban]) => [
+    ban.username ? `${userId} (@${ban.username})` : userId,
+    formatDate(ban.bannedAt),
+    ban.reason
+  ].filter(Boolean).join(' — '));
+  await ctx.reply(`${t(ctx, 'bannedUsersHeader')}\n${lines.join('\n')}`);
+});
+
+// Helper to get posting limits of a user by item type and window, null for unlimited
+function getUserLimits(userId, user) {
+  const tier = getUserTier({ user, isAdmin: ADMIN_IDS.includes(String(userId)), newAccountDays: NEW_ACCOUNT_DAYS });
+  return getEffectiveLimits({ tier, tiers: POST_LIMITS, overrides: user?.limitOverrides });
+}
+// Show how many posts the user has left and when the next slot frees up
+bot.command('limits', async (ctx) => {
+  if (isForwardedMessage(ctx.message)) return;
+  const user = await storage.getUserData(ctx.from.id);
+  const tier = getUserTier({ user, isAdmin: isAdmin(ctx), newAccountDays: NEW_ACCOUNT_DAYS });
+  const limits = getUserLimits(ctx.from.id, user);
+  if (!limits) return ctx.reply(t(ctx, 'limitsUnlimited'));
+  const lines = [t(ctx, 'limitsHeader', { tier: t(ctx, `limitTier_${tier}`) })];
+  for (const type of itemTypes) {
+    const capitalized = type.charAt(0).toUpperCase() + type.slice(1);
+    const usage = getLimitUsage({ items: user?.[`${type}s`], limits: limits[type] });
+    if (!usage.length) {
+      lines.push(t(ctx, `limits${capitalized}sUnlimited`));
+      continue;
+    }
+    for (const { window, limit, remaining, nextSlotAt } of usage) {
+      let line = t(ctx, `limits${capitalized}sLine`, { remaining, limit, window: t(ctx, `limitWindow_${window}`) });
+      if (nextSlotAt) line += ` ${t(ctx, 'limitsNextSlot', { nextSlot: formatDate(nextSlotAt) })}`;
+      lines.push(line);
+    }
+  }
+  lines.push(t(ctx, 'limitsCountedPosts'));
+  await ctx.reply(lines.join('\n'));
+});
+// Admin commands: /trust and /untrust switch the trusted tier, /setlimits overrides limits of a user
+bot.command(['trust', 'untrust'], async (ctx) => {
+  if (isForwardedMessage(ctx.message)) return;
+  if (!isAdmin(ctx)) return ctx.reply(t(ctx, 'adminsOnly'));
+  const parsed = parseUserTarget(ctx.payload);
+  if (!parsed) return ctx.reply(t(ctx, `${ctx.command}Usage`));
+  await storage.readDB();
+  const userId = resolveUserId(storage.db.data.users, parsed.target);
+  if (!userId) return ctx.reply(t(ctx, 'userNotFound', { user: parsed.target }));
+  await storage.update(userId, (user) => {
+    if (ctx.command === 'trust') {
+      user.tier = 'trusted';
+    } else {
+      delete user.tier;
+    }
+  });
+  await ctx.reply(t(ctx, ctx.command === 'trust' ? 'userTrusted' : 'userUntrusted', { user: userId }));
+});
+bot.command('setlimits', async (ctx) => {
+  if (isForwardedMessage(ctx.message)) return;
+  if (!isAdmin(ctx)) return ctx.reply(t(ctx, 'adminsOnly'));
+  const parsed = parseUserTarget(ctx.payload);
+  const overrides = parsed?.reason === 'default' ? null : parseLimits(parsed?.reason);
+  if (!parsed || (overrides && _.isEmpty(overrides))) return ctx.reply(t(ctx, 'setlimitsUsage'));
+  await storage.readDB();
+  const userId = resolveUserId(storage.db.data.users, parsed.target);
+  if (!userId) return ctx.reply(t(ctx, 'userNotFound', { user: parsed.target }));
+  await storage.update(userId, (user) => {
+    if (overrides) {
+      user.limitOverrides = _.merge({}, user.limitOverrides, overrides);
+    } else {
+      delete user.limitOverrides;
+    }
   });
+  await ctx.reply(t(ctx, overrides ? 'userLimitsSet' : 'userLimitsReset', { user: userId }));
 });
+
+// Helper to check whether the sender administers the current group
+async function isGroupAdmin(ctx) {
+  // Anonymous admins send messages on behalf of the group
+  if (ctx.message?.sender_chat?.id === ctx.chat.id) return true;
+  try {
+    const member = await ctx.telegram.getChatMember(ctx.chat.id, ctx.from.id);
+    return ['creator', 'administrator'].includes(member.status);
+  } catch (err) {
+    console.error(`Could not check admin rights in chat ${ctx.chat.id}:`, err.message);
+    return false;
+  }
+}
+// Helper to check that both the group admin and the bot administer a channel set in /settings
+async function canUseChannel(ctx, channel) {
+  try {
+    const [member, botMember] = await Promise.all([
+      ctx.telegram.getChatMember(channel, ctx.from.id),
+      ctx.telegram.getChatMember(channel, bot.botInfo.id)
+    ]);
+    return ['creator', 'administrator'].includes(member.status) && botMember.status === 'administrator';
+  } catch (err) {
+    console.error(`Could not check admin rights in channel ${channel}:`, err.message);
+    return false;
+  }
+}
+// Helper to build the /settings message of a group with toggle buttons
+function buildSettingsMessage(ctx, settings) {
+  const mark = (enabled) => (enabled ? '✅' : '❌');
+  const text = [
+    t(ctx, 'settingsHeader'),
+    t(ctx, 'settingsChannelLine', { channel: settings.channel || t(ctx, 'settingsChannelDefault') }),
+    '',
+    t(ctx, 'settingsChannelHint')
+  ].join('\n');
+  const keyboard = Markup.inlineKeyboard([
+    [Markup.button.callback(t(ctx, 'settingsKeyboardButton', { value: mark(settings.showKeyboard) }), 'settings_showKeyboard')],
+    itemTypes.map((type) => Markup.button.callback(
+      t(ctx, `settings${type.charAt(0).toUpperCase() + type.slice(1)}sButton`, { value: mark(settings.itemTypes.includes(type)) }),
+      `settings_${type}`
+    )),
+    [Markup.button.callback(
+      t(ctx, 'settingsConfirmationsButton', { value: t(ctx, `settingsConfirmations_${settings.confirmations}`) }),
+      'settings_confirmations'
+    )],
+    [Markup.button.callback(
+      t(ctx, 'settingsLanguageButton', { value: settings.language || t(ctx, 'settingsLanguageAuto') }),
+      'settings_language'
+    )]
+  ]);
+  return [text, keyboard];
+}
+// Group admins: /settings shows toggles, /settings channel <@channel|default> sets the channel for the group's items
+bot.command('settings', async (ctx) => {
+  if (isForwardedMessage(ctx.message)) return;
+  if (ctx.chat.type === 'private') return ctx.reply(t(ctx, 'settingsGroupsOnly'));
+  if (!(await isGroupAdmin(ctx))) return ctx.reply(t(ctx, 'groupAdminsOnly'));
+  const [subcommand, value] = (ctx.payload || '').trim().split(/\s+/);
+  if (subcommand === 'channel') {
+    let channel = null;
+    if (value && value !== 'default') {
+      if (!/^(@\w+|-100\d+)$/.test(value)) return ctx.reply(t(ctx, 'settingsChannelHint'));
+      if (!(await canUseChannel(ctx, value))) return ctx.reply(t(ctx, 'settingsChannelNotAllowed', { channel: value }));
+      channel = value;
+    }
+    await storage.updateData((data) => {
+      const settings = getGroupSettings(data.groupSettings, ctx.chat.id);
+      data.groupSettings = { ...data.groupSettings, [ctx.chat.id]: { ...settings, channel } };
+    });
+  } else if (subcommand) {
+    return ctx.reply(t(ctx, 'settingsChannelHint'));
+  }
+  await ctx.reply(...buildSettingsMessage(ctx, getChatSettings(ctx.chat)));
+});
+bot.action(/^settings_(showKeyboard|need|resource|confirmations|language)$/, async (ctx) => {
+  if (!ctx.chat || ctx.chat.type === 'private') return ctx.answerCbQuery();
+  if (!(await isGroupAdmin(ctx))) return ctx.answerCbQuery(t(ctx, 'groupAdminsOnly'));
+  const settings = await storage.updateData((data) => {
+    const settings = toggleGroupSetting(getGroupSettings(data.groupSettings, ctx.chat.id), ctx.match[1], {
+      languages: Object.keys(locales)
+    });
+    data.groupSettings = { ...data.groupSettings, [ctx.chat.id]: settings };
+    return settings;
+  });
+  await ctx.editMessageText(...buildSettingsMessage(ctx, settings));
+  await ctx.answerCbQuery(t(ctx, 'settingsSaved'));
+});
+
 function getMainKeyboard(ctx) {
-  // Build keyboard rows from itemTypes
-  const newRow = itemTypes.map((type) =>
+  const settings = getChatSettings(ctx.chat);
+  if (!settings.showKeyboard) return Markup.removeKeyboard();
+  // Build keyboard rows from item types allowed in the chat
+  const newRow = settings.itemTypes.map((type) =>
     t(ctx, `button${type.charAt(0).toUpperCase() + type.slice(1)}`)
   );
   
@@ -819,6 +2632,24 @@ bot.start(async (ctx) => {
     return;
   }
 
+  // Deep links into the bot (t.me/<bot>?start=<payload>) always open the private chat
+  const payload = ctx.chat.type === 'private' ? parseStartPayload(ctx.payload) : null;
+  // Report and "I can help" / "I want this" buttons of channel posts
+  if (payload?.action === 'report') return startReport(ctx, payload.guid);
+  if (payload?.action === 'respond') return startResponse(ctx, payload.guid);
+  // Item link from channel post footers
+  if (payload?.action === 'item') return replyItemCard(ctx, payload.guid);
+  // Jump straight into creating a need or resource
+  if (payload?.action === 'create') {
+    await conversations.start(getPendingActionKey(ctx.from.id, ctx.chat.id), payload.type);
+    await sendPrompt(ctx, payload.type);
+    return;
+  }
+  if (payload?.action === 'invalid') {
+    await ctx.reply(t(ctx, 'startLinkInvalid'), getMainKeyboard(ctx));
+    return;
+  }
+
   // In group chats, only allow /start if this is the only bot OR if bot was explicitly mentioned
   if (ctx.chat.type !== 'private') {
     // Check if the bot was explicitly mentioned in the command
@@ -834,9 +2665,17 @@ bot.start(async (ctx) => {
     }
   }
 
-  // Ensure we at least have an empty user object in the DB
-  await storage.getUserData(ctx.from.id);
-  await storage.writeDB();
+  // Ensure we at least have an empty user object in the DB, remembering who invited a new user
+  await storage.readDB();
+  const isNewUser = !storage.db.data.users[String(ctx.from.id)];
+  const referrerId = payload?.action === 'ref' && payload.userId !== String(ctx.from.id)
+    && storage.db.data.users[payload.userId] ? payload.userId : null;
+  await storage.update(ctx.from.id, (user) => {
+    if (isNewUser && referrerId) {
+      user.referrerId = referrerId;
+      user.referredAt = new Date().toISOString();
+    }
+  });
   
   // Check if we need to show explicit bot mentions in the welcome message
   let welcomeText = t(ctx, 'welcome', { description: t(ctx, 'description') });
@@ -844,17 +2683,33 @@ bot.start(async (ctx) => {
     const isOnlyBot = await isOnlyBotInChat(ctx);
     if (!isOnlyBot) {
       // Replace /help with explicit bot mention in welcome message
-      welcomeText = welcomeText.replace('/help', '/help@CorrelationCenterBot');
+      welcomeText = welcomeText.replace('/help', `/help@${getBotUsername()}`);
     }
   }
   
   await ctx.reply(welcomeText, getMainKeyboard(ctx));
 });
 
-// Handle all incoming messages (text or images) for adding items
+// Album parts are collected and handled as one message carrying all parts in `album`
+const mediaGroups = new MediaGroupBuffer({
+  delayMs: MEDIA_GROUP_DELAY_MS,
+  onComplete: (messages) => {
+    const first = _.minBy(messages, 'message_id');
+    bot.handleUpdate({ update_id: 0, message: { ...first, album: messages } }).catch((err) => {
+      console.error(`Failed to handle album ${first.media_group_id}:`, err);
+    });
+  }
+});
+
+// Handle all incoming messages (text or media) for adding items
 bot.on('message', async (ctx, next) => {
-  // If user sent /cancel, bypass addItem so cancel command can run
-  if (ctx.message.text && ctx.message.text.startsWith('/cancel')) return next();
+  // Wait for the remaining parts of an album
+  if (ctx.message.media_group_id && !ctx.message.album) {
+    mediaGroups.add(ctx.message);
+    return;
+  }
+  // If user sent /cancel or /endchat, bypass pending actions so the command can run
+  if (ctx.message.text && (ctx.message.text.startsWith('/cancel') || ctx.message.text.startsWith('/endchat'))) return next();
   
   // Check if this is a command-like text (clicked from help message)
   if (ctx.message.text && ctx.message.text.startsWith('/')) {
@@ -873,9 +2728,8 @@ bot.on('message', async (ctx, next) => {
       if (ctx.message.reply_to_message && isBotSystemMessage(ctx.message.reply_to_message, bot.botInfo.id)) {
         // Just switch to the new mode without publishing
         const pendingKey = getPendingActionKey(ctx.from.id, ctx.chat.id);
-        pendingActions[pendingKey] = type;
-        const promptKey = `prompt${type.charAt(0).toUpperCase() + type.slice(1)}`;
-        await ctx.reply(t(ctx, promptKey));
+        await conversations.start(pendingKey, type);
+        await sendPrompt(ctx, type);
         return;
       }
 
@@ -886,11 +2740,10 @@ bot.on('message', async (ctx, next) => {
 
       // Set pending and schedule prompt after delay
       const pendingKey = getPendingActionKey(ctx.from.id, ctx.chat.id);
-      pendingActions[pendingKey] = type;
+      await conversations.start(pendingKey, type);
       setTimeout(() => {
-        if (pendingActions[pendingKey] === type) {
-          const promptKey = `prompt${type.charAt(0).toUpperCase() + type.slice(1)}`;
-          ctx.reply(t(ctx, promptKey));
+        if (conversations.get(pendingKey)?.action === type) {
+          sendPrompt(ctx, type);
         }
       }, PROMPT_DELAY_MS);
       return;
@@ -898,7 +2751,30 @@ bot.on('message', async (ctx, next) => {
   }
   
   const pendingKey = getPendingActionKey(ctx.from.id, ctx.chat.id);
-  let action = pendingActions[pendingKey];
+  let action = conversations.get(pendingKey)?.action;
+
+  // Chat via the bot with the other party of an item, including shared locations
+  const relayMatch = /^relay_([\w-]+)$/.exec(action || '');
+  if (relayMatch) {
+    await handleRelayMessage(ctx, relayMatch[1]);
+    return;
+  }
+
+  // Shared locations attach an area to the item being created or run a nearby search
+  if (ctx.message.location) {
+    const { latitude, longitude } = ctx.message.location;
+    if (itemTypes.includes(action)) {
+      const { location } = await conversations.set(pendingKey, { location: { latitude, longitude } });
+      await ctx.reply(t(ctx, 'locationAttached', { area: getAreaName(location, getLanguage(ctx)) }));
+      return;
+    }
+    if (ctx.chat.type === 'private') {
+      if (action === 'nearby') await conversations.delete(pendingKey);
+      await replyNearby(ctx, { latitude, longitude });
+      return;
+    }
+    return next();
+  }
 
   // Check if this is a reply to a bot prompt message - if so, process it as description
   const promptType = ctx.message.reply_to_message
@@ -909,8 +2785,8 @@ bot.on('message', async (ctx, next) => {
     // This is a reply to the prompt message, use that type (even if no pending action)
     action = promptType;
     // Set the pending action if not already set
-    if (!pendingActions[pendingKey]) {
-      pendingActions[pendingKey] = promptType;
+    if (!conversations.get(pendingKey)) {
+      await conversations.start(pendingKey, promptType);
     }
     await addItem(ctx, action);
     return;
@@ -918,6 +2794,46 @@ bot.on('message', async (ctx, next) => {
 
   if (!action) return next();
 
+  // Pending nearby search waiting for a location or a city name
+  if (action === 'nearby') {
+    const city = ctx.message.text && !ctx.message.text.startsWith('/') ? findCity(ctx.message.text) : null;
+    if (!city) {
+      await ctx.reply(t(ctx, 'promptNearby'));
+      return;
+    }
+    await conversations.delete(pendingKey);
+    await replyNearby(ctx, city);
+    return;
+  }
+
+  // Pending moderator input for an item under review
+  const reviewMatch = /^review_(reject|edit)_([\w-]+)$/.exec(action);
+  if (reviewMatch) {
+    await handleReviewInput(ctx, reviewMatch[1], reviewMatch[2]);
+    return;
+  }
+
+  // Pending reason for a report on a channel post
+  const reportMatch = /^report_([\w-]+)$/.exec(action);
+  if (reportMatch) {
+    await handleReportInput(ctx, reportMatch[1]);
+    return;
+  }
+
+  // Pending message for the author of a channel post
+  const respondMatch = /^respond_([\w-]+)$/.exec(action);
+  if (respondMatch) {
+    await handleResponseInput(ctx, respondMatch[1]);
+    return;
+  }
+
+  // Pending edit of an existing item
+  const editMatch = /^edit_(need|resource)_(\d+)$/.exec(action);
+  if (editMatch) {
+    await editItem(ctx, editMatch[1], parseInt(editMatch[2], 10));
+    return;
+  }
+
   // Check if this is a reply to a bot system message (but not a prompt message)
   if (ctx.message.reply_to_message && isBotSystemMessage(ctx.message.reply_to_message, bot.botInfo.id)) {
     // Don't publish bot system messages, just switch to the new mode
@@ -953,16 +2869,21 @@ bot.command('help', async (ctx) => {
   if (ctx.chat.type === 'private') {
     await ctx.reply(t(ctx, 'help'));
   } else {
+    // Hide commands of item types disabled in /settings
+    const { itemTypes: allowedTypes } = getChatSettings(ctx.chat);
+    const hiddenCommands = itemTypes.filter((type) => !allowedTypes.includes(type)).map((type) => ITEM_COMMANDS[type]);
+    let helpText = t(ctx, 'helpGroup')
+      .split('\n')
+      .filter((line) => !hiddenCommands.includes(line.split(' ')[0]))
+      .join('\n');
     const isOnlyBot = await isOnlyBotInChat(ctx);
-    if (isOnlyBot) {
-      await ctx.reply(t(ctx, 'helpGroup'));
-    } else {
+    if (!isOnlyBot) {
       // Show help with explicit bot mention
-      const helpText = t(ctx, 'helpGroup')
-        .replace('/start', '/start@CorrelationCenterBot')
-        .replace('/help', '/help@CorrelationCenterBot');
-      await ctx.reply(helpText);
+      helpText = helpText
+        .replace('/start', `/start@${getBotUsername()}`)
+        .replace('/help', `/help@${getBotUsername()}`);
     }
+    await ctx.reply(helpText, getMainKeyboard(ctx));
   }
 });
 
@@ -974,28 +2895,155 @@ bot.command('cancel', async (ctx) => {
   }
 
   const pendingKey = getPendingActionKey(ctx.from.id, ctx.chat.id);
-  if (pendingActions[pendingKey]) {
-    delete pendingActions[pendingKey];
+  if (conversations.get(pendingKey)) {
+    await conversations.delete(pendingKey);
     await ctx.reply(t(ctx, 'actionCancelled'));
   } else {
     await ctx.reply(t(ctx, 'noPendingAction'));
   }
 });
 
+// End chat command: stop the current chat via the bot
+bot.command('endchat', async (ctx) => {
+  // Ignore commands in forwarded messages
+  if (isForwardedMessage(ctx.message)) {
+    return;
+  }
+
+  const action = conversations.get(getPendingActionKey(ctx.from.id, ctx.chat.id))?.action;
+  const sessionId = /^relay_([\w-]+)$/.exec(action || '')?.[1];
+  if (sessionId) return endRelay(ctx, sessionId);
+  // Responders have no pending reply until they press Reply, so look at their sessions
+  await storage.readDB();
+  const sessions = findActiveRelaySessions(storage.db.data.relaySessions, ctx.from.id);
+  if (sessions.length <= 1) return endRelay(ctx, sessions[0]?.id);
+  const buttons = [];
+  for (const session of sessions) {
+    const found = await findStoredItem({ guid: session.guid });
+    const label = _.truncate(found?.item.description || session.guid, { length: 40 });
+    buttons.push([Markup.button.callback(label, `relay_end_${session.id}`)]);
+  }
+  await ctx.reply(t(ctx, 'relayChooseChat'), Markup.inlineKeyboard(buttons));
+});
+// Chat picker of /endchat: end the chosen chat
+bot.action(/^relay_end_([\w-]+)$/, async (ctx) => {
+  await ctx.answerCbQuery();
+  await ctx.editMessageReplyMarkup(undefined);
+  await endRelay(ctx, ctx.match[1]);
+});
+
+// Helper to build the language picker, marking the language chosen by the user
+function getLanguageKeyboard(ctx) {
+  const current = storage.db.data.users?.[String(ctx.from.id)]?.language;
+  const buttons = Object.keys(locales).map((lang) => Markup.button.callback(
+    `${lang === current ? '✅ ' : ''}${locales[lang].languageName || lang}`,
+    `language_${lang}`
+  ));
+  return Markup.inlineKeyboard([
+    ..._.chunk(buttons, 2),
+    [Markup.button.callback(`${current ? '' : '✅ '}${t(ctx, 'languageAuto')}`, 'language_auto')]
+  ]);
+}
+// Language picker: the chosen language overrides the Telegram language
+bot.command('language', async (ctx) => {
+  if (isForwardedMessage(ctx.message)) return;
+  await ctx.reply(t(ctx, 'chooseLanguage'), getLanguageKeyboard(ctx));
+});
+bot.action(/^language_([a-z]{2,3}(?:-[A-Za-z]+)?|auto)$/, async (ctx) => {
+  const lang = ctx.match[1];
+  if (lang !== 'auto' && !locales[lang]) return ctx.answerCbQuery();
+  await storage.update(ctx.from.id, (user) => {
+    if (lang === 'auto') {
+      delete user.language;
+    } else {
+      user.language = lang;
+    }
+  });
+  await ctx.answerCbQuery();
+  try {
+    await ctx.deleteMessage();
+  } catch (err) {
+    console.error('Failed to delete language picker:', err.message);
+  }
+  // Re-send the keyboard so its buttons use the new language
+  await ctx.reply(t(ctx, 'languageChanged', { language: locales[getLanguage(ctx)].languageName }), getMainKeyboard(ctx));
+});
+
+// Anonymous command: toggle posting new items anonymously by default
+bot.command('anonymous', async (ctx) => {
+  if (isForwardedMessage(ctx.message)) return;
+  const enabled = await storage.update(ctx.from.id, (user) => {
+    user.postAnonymously = !user.postAnonymously;
+    return user.postAnonymously;
+  });
+  await ctx.reply(t(ctx, enabled ? 'anonymousDefaultOn' : 'anonymousDefaultOff'));
+});
+
+// Report lost-update conflicts to the user instead of crashing, other errors keep the default handling
+bot.catch(async (err, ctx) => {
+  if (!(err instanceof StorageConflictError)) throw err;
+  console.error(`Storage conflict while processing update ${ctx.update.update_id}:`, err.message);
+  try {
+    if (ctx.callbackQuery) {
+      await ctx.answerCbQuery(t(ctx, 'storageConflict'));
+    } else {
+      await ctx.reply(t(ctx, 'storageConflict'));
+    }
+  } catch (replyErr) {
+    console.error('Failed to report storage conflict:', replyErr.message);
+  }
+});
+
 // Only start the bot outside of test environment
 if (process.env.NODE_ENV !== 'test') {
-  // await migrateDeleteUserChannelMessages({ userId: 7419276965, tracing: true });
-  // await migrateDeleteUserChannelMessages({ userId: 7474624462, tracing: true });
-  // await migrateDeleteUserChannelMessages({ userId: 5309502176, tracing: true });
-  // await migrateDeleteUserChannelMessages({ userId: 1673752450, tracing: true });
   // console.log('Migrating old user mentions...');
   // await migrateUserMentions({ limit: 2, tracing: true });
-  bot.launch().catch((error) => {
+  // Restore pending actions so replies sent after a restart are still handled
+  const restored = await conversations.load();
+  if (restored) console.log(`Restored ${restored} pending conversation(s)`);
+  let shuttingDown = false;
+  const launchConfig = WEBHOOK ? {
+    webhook: {
+      domain: WEBHOOK.domain,
+      path: WEBHOOK.path,
+      port: WEBHOOK.port,
+      secretToken: WEBHOOK.secretToken,
+      // Health endpoints and rejected updates, valid updates are handled by the bot
+      cb: createHealthHandler({
+        webhookPath: WEBHOOK.path,
+        checks: {
+          storage: () => storage.readDB(),
+          // Health endpoints are public, so Telegram is asked at most once per interval
+          telegram: cacheHealthCheck(() => bot.telegram.getMe(), HEALTH_CHECK_CACHE_MS)
+        },
+        isShuttingDown: () => shuttingDown
+      })
+    }
+  } : {};
+  bot.launch(launchConfig).catch((error) => {
     console.error('Failed to launch bot. Please check your BOT_TOKEN:', error);
     process.exit(1);
   });
-  console.log('Bot started');
+  console.log(WEBHOOK ? `Bot started with webhook on port ${WEBHOOK.port}` : 'Bot started');
+
+  // Periodically check stored items for due reminders and expirations
+  const runReminders = () => processReminders({ telegram: bot.telegram }).catch((error) => {
+    console.error('Failed to process reminders:', error);
+  });
+  runReminders();
+  const remindersInterval = setInterval(runReminders, REMINDER_CHECK_INTERVAL_MS);
 
-  process.once('SIGINT', () => bot.stop('SIGINT'));
-  process.once('SIGTERM', () => bot.stop('SIGTERM'));
+  // Graceful shutdown: report not ready, handle albums still waiting for parts,
+  // let updates being handled finish, then stop the bot
+  const shutdown = async (signal) => {
+    shuttingDown = true;
+    clearInterval(remindersInterval);
+    mediaGroups.flush();
+    if (!(await updates.drain(SHUTDOWN_TIMEOUT_MS))) {
+      console.error(`Stopping with ${updates.size} update(s) still being handled`);
+    }
+    bot.stop(signal);
+  };
+  process.once('SIGINT', () => shutdown('SIGINT'));
+  process.once('SIGTERM', () => shutdown('SIGTERM'));
 }
\ No newline at end of file
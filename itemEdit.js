@@ -0,0 +1,62 @@
+import _ from 'lodash';
+import { detectCategory } from './categories.js';
+import { getItemMedia, canEditMedia } from './media.js';
+
+/**
+ * Apply an edit to an item: keep the previous version in `item.editHistory` and
+ * replace the description and/or media. A category detected from a hashtag
+ * (`item.categoryDetected`) follows the new description, a chosen one stays.
+ *
+ * @param {Object} item - Need or resource, changed in place.
+ * @param {Object} edit
+ * @param {string} [edit.description] - New description, none keeps the current one.
+ * @param {Object[]} [edit.media] - New media (see `getMessageMedia`), none keeps the current ones.
+ * @param {string[]} edit.categories - Known category ids.
+ * @param {number} [edit.editedBy] - Telegram ID of a moderator editing the item.
+ * @param {number} [edit.now=Date.now()] - Current time in milliseconds.
+ * @returns {Object[]} Media of the item before the edit.
+ */
+export function applyItemEdit(item, { description, media = [], categories, editedBy, now = Date.now() }) {
+  const timestamp = new Date(now).toISOString();
+  const previousMedia = getItemMedia(item);
+  const version = { description: item.description, media: previousMedia, replacedAt: timestamp };
+  if (editedBy) version.editedBy = editedBy;
+  // Keep previous versions, createdAt stays untouched
+  (item.editHistory ||= []).push(version);
+  if (description) {
+    item.description = description;
+    if (!item.category || item.categoryDetected) {
+      const category = detectCategory(description, categories);
+      if (category) {
+        item.category = category;
+        item.categoryDetected = true;
+      } else {
+        delete item.category;
+        delete item.categoryDetected;
+      }
+    }
+  }
+  if (media.length) {
+    item.media = media;
+    delete item.fileId;
+  }
+  item.updatedAt = timestamp;
+  return previousMedia;
+}
+
+/**
+ * Choose how to update the channel post of an edited item. Posts are edited in
+ * place when possible; switching between text and media, albums, voice messages
+ * and posts made in repost mode need a new post.
+ *
+ * @param {Object} item - The edited item.
+ * @param {Object[]} previousMedia - Media before the edit, see `applyItemEdit`.
+ * @returns {'editMessageText'|'editMessageCaption'|'editMessageMedia'|'repost'} Telegram method or `repost`.
+ */
+export function getPostUpdate(item, previousMedia) {
+  const media = getItemMedia(item);
+  const mediaChanged = !_.isEqual(previousMedia, media);
+  if (item.descriptionMessageId || (mediaChanged && !canEditMedia(previousMedia, media))) return 'repost';
+  if (mediaChanged) return 'editMessageMedia';
+  return media.length === 1 ? 'editMessageCaption' : 'editMessageText';
+}
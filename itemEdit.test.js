@@ -0,0 +1,79 @@
+import assert from 'assert';
+import { describe, it } from 'node:test';
+import { applyItemEdit, getPostUpdate } from './itemEdit.js';
+
+describe('itemEdit', () => {
+  const categories = ['food', 'housing', 'transport'];
+  const photo = { type: 'photo', fileId: 'p' };
+  const video = { type: 'video', fileId: 'v' };
+
+  describe('applyItemEdit', () => {
+    it('replaces the text and keeps the previous version', () => {
+      const item = { description: 'Old sofa', media: [photo], createdAt: 'created' };
+      const previousMedia = applyItemEdit(item, { description: 'New sofa', categories, now: 0 });
+      assert.deepStrictEqual(previousMedia, [photo]);
+      assert.deepStrictEqual(item, {
+        description: 'New sofa',
+        media: [photo],
+        createdAt: 'created',
+        updatedAt: '1970-01-01T00:00:00.000Z',
+        editHistory: [{ description: 'Old sofa', media: [photo], replacedAt: '1970-01-01T00:00:00.000Z' }]
+      });
+    });
+
+    it('replaces media and drops the legacy photo', () => {
+      const item = { description: 'Bike', fileId: 'old' };
+      const previousMedia = applyItemEdit(item, { media: [video], categories, editedBy: 7, now: 0 });
+      assert.deepStrictEqual(previousMedia, [{ type: 'photo', fileId: 'old' }]);
+      assert.strictEqual(item.description, 'Bike');
+      assert.deepStrictEqual(item.media, [video]);
+      assert.strictEqual(item.fileId, undefined);
+      assert.strictEqual(item.editHistory[0].editedBy, 7);
+    });
+
+    it('re-detects a category detected from a hashtag', () => {
+      const item = { description: 'Soup #food', category: 'food', categoryDetected: true };
+      applyItemEdit(item, { description: 'Room #housing', categories });
+      assert.strictEqual(item.category, 'housing');
+      applyItemEdit(item, { description: 'Room for a week', categories });
+      assert.strictEqual(item.category, undefined);
+      assert.strictEqual(item.categoryDetected, undefined);
+    });
+
+    it('keeps a chosen category', () => {
+      const item = { description: 'Soup', category: 'food' };
+      applyItemEdit(item, { description: 'Lift to the city #transport', categories });
+      assert.strictEqual(item.category, 'food');
+    });
+
+    it('detects a category for items without one', () => {
+      const item = { description: 'Lift' };
+      applyItemEdit(item, { description: 'Lift #transport', categories });
+      assert.strictEqual(item.category, 'transport');
+      assert.strictEqual(item.categoryDetected, true);
+    });
+  });
+
+  describe('getPostUpdate', () => {
+    it('edits text and captions in place', () => {
+      assert.strictEqual(getPostUpdate({ description: 'Sofa' }, []), 'editMessageText');
+      assert.strictEqual(getPostUpdate({ media: [photo] }, [photo]), 'editMessageCaption');
+      assert.strictEqual(getPostUpdate({ media: [photo, video] }, [photo, video]), 'editMessageText');
+    });
+
+    it('switches single editable media in place', () => {
+      assert.strictEqual(getPostUpdate({ media: [video] }, [photo]), 'editMessageMedia');
+    });
+
+    it('re-posts when switching between media and text', () => {
+      assert.strictEqual(getPostUpdate({ media: [photo] }, []), 'repost');
+      assert.strictEqual(getPostUpdate({ description: 'Sofa' }, [photo]), 'repost');
+      assert.strictEqual(getPostUpdate({ media: [{ type: 'voice', fileId: 'n' }] }, [photo]), 'repost');
+      assert.strictEqual(getPostUpdate({ media: [photo, video] }, [photo]), 'repost');
+    });
+
+    it('re-posts posts made in repost mode', () => {
+      assert.strictEqual(getPostUpdate({ description: 'Sofa', descriptionMessageId: 5 }, []), 'repost');
+    });
+  });
+});
@@ -0,0 +1,56 @@
+// Lifecycle statuses of needs and resources
+export const ITEM_STATUSES = ['open', 'reserved', 'fulfilled', 'closed', 'pending_review', 'rejected'];
+
+// Statuses of items visible in the channel
+const PUBLISHED_STATUSES = ['open', 'reserved', 'fulfilled'];
+
+// Statuses an item can be moved to from each status via management buttons.
+// Closing is done with the Delete button, so it is not listed here.
+// Items in moderation (pending_review, rejected) are changed by moderators only.
+const TRANSITIONS = {
+  open: ['reserved', 'fulfilled'],
+  reserved: ['fulfilled', 'open'],
+  fulfilled: ['open'],
+  closed: ['open'],
+};
+
+/**
+ * Get the lifecycle status of an item; items stored before statuses existed are open.
+ *
+ * @param {Object} item - Need or resource.
+ * @returns {'open'|'reserved'|'fulfilled'|'closed'|'pending_review'|'rejected'} The status.
+ */
+export function getItemStatus(item) {
+  return ITEM_STATUSES.includes(item?.status) ? item.status : 'open';
+}
+
+/**
+ * Get statuses an item can be moved to from the given status.
+ *
+ * @param {string} status - Current status.
+ * @returns {string[]} Allowed target statuses.
+ */
+export function getStatusTransitions(status) {
+  return TRANSITIONS[status] || [];
+}
+
+/**
+ * Check whether moving from one status to another is allowed.
+ *
+ * @param {string} from - Current status.
+ * @param {string} to - Target status.
+ * @returns {boolean}
+ */
+export function canTransition(from, to) {
+  return getStatusTransitions(from).includes(to);
+}
+
+/**
+ * Check whether an item is visible in the channel (not closed, rejected or awaiting review).
+ *
+ * @param {Object} item - Need or resource.
+ * @returns {boolean}
+ */
+export function isPublished(item) {
+  return PUBLISHED_STATUSES.includes(getItemStatus(item));
+}
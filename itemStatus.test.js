@@ -0,0 +1,60 @@
+import assert from 'assert';
+import { describe, it } from 'node:test';
+import { getItemStatus, getStatusTransitions, canTransition, isPublished } from './itemStatus.js';
+
+describe('itemStatus', () => {
+  describe('getItemStatus', () => {
+    it('defaults to open for items without status', () => {
+      assert.strictEqual(getItemStatus({ description: 'Sofa' }), 'open');
+    });
+
+    it('defaults to open for unknown status', () => {
+      assert.strictEqual(getItemStatus({ status: 'deleted' }), 'open');
+    });
+
+    it('returns stored status', () => {
+      assert.strictEqual(getItemStatus({ status: 'fulfilled' }), 'fulfilled');
+    });
+  });
+
+  describe('getStatusTransitions', () => {
+    it('allows reserving and fulfilling an open item', () => {
+      assert.deepStrictEqual(getStatusTransitions('open'), ['reserved', 'fulfilled']);
+    });
+
+    it('allows reopening fulfilled and closed items', () => {
+      assert.deepStrictEqual(getStatusTransitions('fulfilled'), ['open']);
+      assert.deepStrictEqual(getStatusTransitions('closed'), ['open']);
+    });
+
+    it('returns empty list for unknown status', () => {
+      assert.deepStrictEqual(getStatusTransitions('unknown'), []);
+    });
+
+    it('does not allow owners to change items in moderation', () => {
+      assert.deepStrictEqual(getStatusTransitions('pending_review'), []);
+      assert.deepStrictEqual(getStatusTransitions('rejected'), []);
+    });
+  });
+
+  describe('canTransition', () => {
+    it('checks allowed transitions', () => {
+      assert.strictEqual(canTransition('reserved', 'fulfilled'), true);
+      assert.strictEqual(canTransition('fulfilled', 'reserved'), false);
+      assert.strictEqual(canTransition('open', 'closed'), false);
+    });
+  });
+
+  describe('isPublished', () => {
+    it('is true for items visible in the channel', () => {
+      assert.strictEqual(isPublished({}), true);
+      assert.strictEqual(isPublished({ status: 'reserved' }), true);
+    });
+
+    it('is false for closed items and items in moderation', () => {
+      assert.strictEqual(isPublished({ status: 'closed' }), false);
+      assert.strictEqual(isPublished({ status: 'pending_review' }), false);
+      assert.strictEqual(isPublished({ status: 'rejected' }), false);
+    });
+  });
+});
@@ -0,0 +1,105 @@
+import _ from 'lodash';
+import { getItemStatus } from './itemStatus.js';
+
+// Length of supported limit windows in milliseconds (rolling)
+export const LIMIT_WINDOWS = {
+  day: 24 * 60 * 60 * 1000,
+  week: 7 * 24 * 60 * 60 * 1000,
+};
+
+// Built-in posting limits per trust tier, see `parseLimits`; new accounts get fewer posts
+export const DEFAULT_TIER_LIMITS = {
+  new: 'need:1/day,resource:1/day',
+  regular: 'need:3/day,resource:3/day',
+  trusted: 'need:10/day,resource:10/day',
+};
+
+/**
+ * Parse posting limits (e.g. from the `LIMITS` env vars): comma-separated
+ * `<type>:<count>/<window>` entries, e.g. `need:3/day,need:10/week,resource:5/day`.
+ *
+ * @param {string} [value] - Comma-separated limits.
+ * @returns {Object<string, Object<string, number>>} Limits by item type and window.
+ */
+export function parseLimits(value) {
+  const limits = {};
+  for (const entry of (value || '').split(',')) {
+    const match = /^\s*(need|resource):(\d+)\/(day|week)\s*$/.exec(entry);
+    if (!match) continue;
+    _.set(limits, [match[1], match[3]], Number(match[2]));
+  }
+  return limits;
+}
+
+/**
+ * Pick the trust tier of a user: admins, users marked as trusted by admins,
+ * new accounts (first item posted recently or no items yet) and regular users.
+ *
+ * @param {Object} options
+ * @param {Object} options.user - User data from storage.
+ * @param {boolean} [options.isAdmin=false] - Whether the user is an admin.
+ * @param {number} options.newAccountDays - How long accounts are considered new.
+ * @param {number} [options.now=Date.now()] - Current time in milliseconds.
+ * @returns {'admin'|'trusted'|'new'|'regular'} Tier.
+ */
+export function getUserTier({ user, isAdmin = false, newAccountDays, now = Date.now() }) {
+  if (isAdmin) return 'admin';
+  if (user?.tier === 'trusted') return 'trusted';
+  const items = [...(user?.needs || []), ...(user?.resources || [])];
+  const firstPostAt = _.min(items.map((item) => Date.parse(item.createdAt)).filter(Number.isFinite));
+  if (firstPostAt === undefined || now - firstPostAt < newAccountDays * LIMIT_WINDOWS.day) return 'new';
+  return 'regular';
+}
+
+/**
+ * Get limits applying to a user: the tier limits with per-user overrides on top.
+ *
+ * @param {Object} options
+ * @param {string} options.tier - Tier from `getUserTier`.
+ * @param {Object} options.tiers - Limits by tier.
+ * @param {Object} [options.overrides] - Per-user limits set by admins.
+ * @returns {Object|null} Limits by item type and window, null for unlimited (admins).
+ */
+export function getEffectiveLimits({ tier, tiers, overrides }) {
+  if (tier === 'admin') return null;
+  return _.merge({}, tiers[tier], overrides);
+}
+
+/**
+ * Describe the usage of each limit window for one item type. Items rejected by
+ * moderators don't count, closed ones do (closing must not free up a post).
+ *
+ * @param {Object} options
+ * @param {Object[]} options.items - Items of the type posted by the user (with `createdAt`).
+ * @param {Object<string, number>} [options.limits] - Limits of the type by window, none means unlimited.
+ * @param {number} [options.now=Date.now()] - Current time in milliseconds.
+ * @returns {Array<{window: string, limit: number, used: number, remaining: number, nextSlotAt: number|null}>}
+ *   Usage by window; `nextSlotAt` is when a post frees up once the limit is reached.
+ */
+export function getLimitUsage({ items, limits, now = Date.now() }) {
+  return Object.entries(limits || {})
+    .filter(([window]) => LIMIT_WINDOWS[window])
+    .map(([window, limit]) => {
+      const since = now - LIMIT_WINDOWS[window];
+      const times = (items || [])
+        .filter((item) => getItemStatus(item) !== 'rejected')
+        .map((item) => Date.parse(item.createdAt))
+        .filter((time) => time >= since)
+        .sort((a, b) => a - b);
+      const remaining = Math.max(limit - times.length, 0);
+      // The oldest posts leave the window first
+      const freeing = times[times.length - limit];
+      const nextSlotAt = remaining > 0 ? null : (freeing ?? now) + LIMIT_WINDOWS[window];
+      return { window, limit, used: times.length, remaining, nextSlotAt };
+    });
+}
+
+/**
+ * Find the limit window blocking a new post, the one freeing up last.
+ *
+ * @param {Object} options - Same as for `getLimitUsage`.
+ * @returns {Object|null} Usage of the exhausted window or null when posting is allowed.
+ */
+export function getExceededLimit(options) {
+  return _.maxBy(getLimitUsage(options).filter((usage) => usage.remaining === 0), 'nextSlotAt') || null;
+}
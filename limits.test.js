@@ -0,0 +1,99 @@
+import assert from 'assert';
+import { describe, it } from 'node:test';
+import { LIMIT_WINDOWS, DEFAULT_TIER_LIMITS, parseLimits, getUserTier, getEffectiveLimits, getLimitUsage, getExceededLimit } from './limits.js';
+
+const DAY = LIMIT_WINDOWS.day;
+const at = (time) => ({ createdAt: new Date(time).toISOString() });
+
+describe('limits', () => {
+  describe('parseLimits', () => {
+    it('parses limits by type and window', () => {
+      assert.deepStrictEqual(parseLimits('need:3/day, need:10/week,resource:5/day'), {
+        need: { day: 3, week: 10 },
+        resource: { day: 5 },
+      });
+    });
+
+    it('skips malformed entries', () => {
+      assert.deepStrictEqual(parseLimits('need:3,offer:1/day,resource:2/month'), {});
+      assert.deepStrictEqual(parseLimits(undefined), {});
+    });
+  });
+
+  describe('getUserTier', () => {
+    const now = 30 * DAY;
+    const oldUser = { needs: [at(0)], resources: [] };
+
+    it('puts admins and trusted users first', () => {
+      assert.strictEqual(getUserTier({ user: oldUser, isAdmin: true, newAccountDays: 7, now }), 'admin');
+      assert.strictEqual(getUserTier({ user: { ...oldUser, tier: 'trusted' }, newAccountDays: 7, now }), 'trusted');
+    });
+
+    it('treats users with a recent first post or no posts as new', () => {
+      assert.strictEqual(getUserTier({ user: { needs: [at(now - DAY)] }, newAccountDays: 7, now }), 'new');
+      assert.strictEqual(getUserTier({ user: undefined, newAccountDays: 7, now }), 'new');
+      assert.strictEqual(getUserTier({ user: oldUser, newAccountDays: 7, now }), 'regular');
+    });
+  });
+
+  describe('getEffectiveLimits', () => {
+    const tiers = { regular: { need: { day: 3, week: 10 }, resource: { day: 3 } } };
+
+    it('applies overrides on top of tier limits', () => {
+      assert.deepStrictEqual(getEffectiveLimits({ tier: 'regular', tiers, overrides: { need: { day: 5 } } }), {
+        need: { day: 5, week: 10 },
+        resource: { day: 3 },
+      });
+      assert.deepStrictEqual(tiers.regular.need.day, 3);
+    });
+
+    it('returns null for admins', () => {
+      assert.strictEqual(getEffectiveLimits({ tier: 'admin', tiers }), null);
+    });
+
+    it('gives new accounts fewer posts than regular users by default', () => {
+      const defaults = Object.fromEntries(Object.entries(DEFAULT_TIER_LIMITS).map(([tier, value]) => [tier, parseLimits(value)]));
+      assert.deepStrictEqual(getEffectiveLimits({ tier: 'new', tiers: defaults }), { need: { day: 1 }, resource: { day: 1 } });
+      assert.deepStrictEqual(getEffectiveLimits({ tier: 'regular', tiers: defaults }), { need: { day: 3 }, resource: { day: 3 } });
+      assert.deepStrictEqual(getEffectiveLimits({ tier: 'trusted', tiers: defaults }), { need: { day: 10 }, resource: { day: 10 } });
+    });
+  });
+
+  describe('getLimitUsage', () => {
+    const now = 10 * DAY;
+    const items = [at(now - 6 * DAY), at(now - 2 * DAY), at(now - 3000), at(now - 1000)];
+
+    it('counts posts in each window and finds when the next slot frees up', () => {
+      assert.deepStrictEqual(getLimitUsage({ items, limits: { day: 2, week: 5 }, now }), [
+        { window: 'day', limit: 2, used: 2, remaining: 0, nextSlotAt: now - 3000 + DAY },
+        { window: 'week', limit: 5, used: 4, remaining: 1, nextSlotAt: null },
+      ]);
+    });
+
+    it('skips rejected posts but counts closed ones', () => {
+      const posted = [{ ...at(now - 2000), status: 'rejected' }, { ...at(now - 1000), status: 'closed' }];
+      assert.deepStrictEqual(getLimitUsage({ items: posted, limits: { day: 2 }, now }), [
+        { window: 'day', limit: 2, used: 1, remaining: 1, nextSlotAt: null },
+      ]);
+    });
+
+    it('returns no usage without limits', () => {
+      assert.deepStrictEqual(getLimitUsage({ items, limits: undefined, now }), []);
+    });
+  });
+
+  describe('getExceededLimit', () => {
+    const now = 10 * DAY;
+    const items = [at(now - 6 * DAY), at(now - 2 * DAY), at(now - 1000)];
+
+    it('returns the window freeing up last', () => {
+      const exceeded = getExceededLimit({ items, limits: { day: 1, week: 3 }, now });
+      assert.strictEqual(exceeded.window, 'week');
+      assert.strictEqual(exceeded.nextSlotAt, now + DAY);
+    });
+
+    it('returns null when posting is allowed', () => {
+      assert.strictEqual(getExceededLimit({ items, limits: { day: 2 }, now }), null);
+    });
+  });
+});
@@ -0,0 +1,106 @@
+import _ from 'lodash';
+import { distanceKm } from './matching.js';
+
+// Bundled city list used instead of external geocoding
+export const CITIES = [
+  { id: 'moscow', names: { en: 'Moscow', ru: 'Москва' }, latitude: 55.7558, longitude: 37.6173 },
+  { id: 'saint_petersburg', names: { en: 'Saint Petersburg', ru: 'Санкт-Петербург' }, latitude: 59.9343, longitude: 30.3351 },
+  { id: 'novosibirsk', names: { en: 'Novosibirsk', ru: 'Новосибирск' }, latitude: 55.0084, longitude: 82.9357 },
+  { id: 'yekaterinburg', names: { en: 'Yekaterinburg', ru: 'Екатеринбург' }, latitude: 56.8389, longitude: 60.6057 },
+  { id: 'kazan', names: { en: 'Kazan', ru: 'Казань' }, latitude: 55.7961, longitude: 49.1064 },
+  { id: 'nizhny_novgorod', names: { en: 'Nizhny Novgorod', ru: 'Нижний Новгород' }, latitude: 56.2965, longitude: 43.9361 },
+  { id: 'chelyabinsk', names: { en: 'Chelyabinsk', ru: 'Челябинск' }, latitude: 55.1644, longitude: 61.4368 },
+  { id: 'samara', names: { en: 'Samara', ru: 'Самара' }, latitude: 53.1959, longitude: 50.1002 },
+  { id: 'omsk', names: { en: 'Omsk', ru: 'Омск' }, latitude: 54.9885, longitude: 73.3242 },
+  { id: 'rostov_on_don', names: { en: 'Rostov-on-Don', ru: 'Ростов-на-Дону' }, latitude: 47.2357, longitude: 39.7015 },
+  { id: 'ufa', names: { en: 'Ufa', ru: 'Уфа' }, latitude: 54.7388, longitude: 55.9721 },
+  { id: 'krasnoyarsk', names: { en: 'Krasnoyarsk', ru: 'Красноярск' }, latitude: 56.0153, longitude: 92.8932 },
+  { id: 'voronezh', names: { en: 'Voronezh', ru: 'Воронеж' }, latitude: 51.6608, longitude: 39.2003 },
+  { id: 'perm', names: { en: 'Perm', ru: 'Пермь' }, latitude: 58.0105, longitude: 56.2502 },
+  { id: 'volgograd', names: { en: 'Volgograd', ru: 'Волгоград' }, latitude: 48.708, longitude: 44.5133 },
+  { id: 'krasnodar', names: { en: 'Krasnodar', ru: 'Краснодар' }, latitude: 45.0355, longitude: 38.9753 },
+  { id: 'sochi', names: { en: 'Sochi', ru: 'Сочи' }, latitude: 43.6028, longitude: 39.7342 },
+  { id: 'vladivostok', names: { en: 'Vladivostok', ru: 'Владивосток' }, latitude: 43.1155, longitude: 131.8855 },
+  { id: 'kaliningrad', names: { en: 'Kaliningrad', ru: 'Калининград' }, latitude: 54.7104, longitude: 20.4522 },
+  { id: 'minsk', names: { en: 'Minsk', ru: 'Минск' }, latitude: 53.9006, longitude: 27.559 },
+  { id: 'kyiv', names: { en: 'Kyiv', ru: 'Киев' }, latitude: 50.4501, longitude: 30.5234 },
+  { id: 'almaty', names: { en: 'Almaty', ru: 'Алматы' }, latitude: 43.222, longitude: 76.8512 },
+  { id: 'astana', names: { en: 'Astana', ru: 'Астана' }, latitude: 51.1694, longitude: 71.4491 },
+  { id: 'tashkent', names: { en: 'Tashkent', ru: 'Ташкент' }, latitude: 41.2995, longitude: 69.2401 },
+  { id: 'tbilisi', names: { en: 'Tbilisi', ru: 'Тбилиси' }, latitude: 41.7151, longitude: 44.8271 },
+  { id: 'yerevan', names: { en: 'Yerevan', ru: 'Ереван' }, latitude: 40.1792, longitude: 44.4991 },
+  { id: 'baku', names: { en: 'Baku', ru: 'Баку' }, latitude: 40.4093, longitude: 49.8671 },
+  { id: 'riga', names: { en: 'Riga', ru: 'Рига' }, latitude: 56.9496, longitude: 24.1052 },
+  { id: 'vilnius', names: { en: 'Vilnius', ru: 'Вильнюс' }, latitude: 54.6872, longitude: 25.2797 },
+  { id: 'tallinn', names: { en: 'Tallinn', ru: 'Таллин' }, latitude: 59.437, longitude: 24.7536 },
+  { id: 'belgrade', names: { en: 'Belgrade', ru: 'Белград' }, latitude: 44.7866, longitude: 20.4489 },
+  { id: 'istanbul', names: { en: 'Istanbul', ru: 'Стамбул' }, latitude: 41.0082, longitude: 28.9784 },
+  { id: 'berlin', names: { en: 'Berlin', ru: 'Берлин' }, latitude: 52.52, longitude: 13.405 },
+  { id: 'london', names: { en: 'London', ru: 'Лондон' }, latitude: 51.5074, longitude: -0.1278 },
+  { id: 'new_york', names: { en: 'New York', ru: 'Нью-Йорк' }, latitude: 40.7128, longitude: -74.006 },
+];
+
+// Max distance (km) from a city center for a point to be described as that city
+const CITY_AREA_RADIUS_KM = 50;
+
+/**
+ * Find a bundled city by its id or name in any language (case-insensitive).
+ *
+ * @param {string} [name] - City id or name.
+ * @returns {Object|null} City or null.
+ */
+export function findCity(name) {
+  const normalized = (name || '').trim().toLowerCase().replace(/ё/g, 'е');
+  if (!normalized) return null;
+  return _.find(CITIES, (city) => city.id === normalized
+    || Object.values(city.names).some((cityName) => cityName.toLowerCase().replace(/ё/g, 'е') === normalized)) || null;
+}
+
+/**
+ * Find the nearest bundled city within the city area radius.
+ *
+ * @param {{latitude: number, longitude: number}} location
+ * @returns {Object|null} City or null when no city is close enough.
+ */
+export function getNearestCity(location) {
+  const nearest = _.minBy(CITIES, (city) => distanceKm(location, city));
+  return nearest && distanceKm(location, nearest) <= CITY_AREA_RADIUS_KM ? nearest : null;
+}
+
+/**
+ * Describe a location approximately: the nearest city name, or coordinates
+ * rounded to ~10 km so exact addresses are not revealed.
+ *
+ * @param {{latitude: number, longitude: number, city?: string}} location
+ * @param {string} [lang='en'] - Language of the city name.
+ * @returns {string} Approximate area.
+ */
+export function getAreaName(location, lang = 'en') {
+  const city = (location.city && _.find(CITIES, { id: location.city })) || getNearestCity(location);
+  if (city) return city.names[lang] || city.names.en;
+  return `~${location.latitude.toFixed(1)}, ${location.longitude.toFixed(1)}`;
+}
+
+/**
+ * Find located items within a radius across all users, nearest first.
+ *
+ * @param {Object} options
+ * @param {Object} options.users - Users map from storage (`db.data.users`).
+ * @param {{latitude: number, longitude: number}} options.location - Center point.
+ * @param {number} options.radiusKm - Search radius in kilometers.
+ * @param {function(Object): boolean} [options.filter] - Extra predicate applied to items.
+ * @returns {Array<{userId: string, type: string, item: Object, distance: number}>} Nearby items.
+ */
+export function findNearbyItems({ users, location, radiusKm, filter = () => true }) {
+  const results = [];
+  for (const [userId, user] of Object.entries(users || {})) {
+    for (const type of ['need', 'resource']) {
+      for (const item of user[`${type}s`] || []) {
+        if (!item.location || !filter(item)) continue;
+        const distance = distanceKm(location, item.location);
+        if (distance <= radiusKm) results.push({ userId, type, item, distance });
+      }
+    }
+  }
+  return _.sortBy(results, 'distance');
+}
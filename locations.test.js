@@ -0,0 +1,69 @@
+import assert from 'assert';
+import { describe, it } from 'node:test';
+import { findCity, getNearestCity, getAreaName, findNearbyItems } from './locations.js';
+
+describe('locations', () => {
+  describe('findCity', () => {
+    it('finds city by id or name in any language', () => {
+      assert.strictEqual(findCity('moscow').id, 'moscow');
+      assert.strictEqual(findCity('  Saint Petersburg ').id, 'saint_petersburg');
+      assert.strictEqual(findCity('москва').id, 'moscow');
+    });
+
+    it('returns null for unknown or empty names', () => {
+      assert.strictEqual(findCity('Atlantis'), null);
+      assert.strictEqual(findCity(''), null);
+    });
+  });
+
+  describe('getNearestCity', () => {
+    it('finds city near the point', () => {
+      assert.strictEqual(getNearestCity({ latitude: 55.8, longitude: 37.5 }).id, 'moscow');
+    });
+
+    it('returns null far from any city', () => {
+      assert.strictEqual(getNearestCity({ latitude: 0, longitude: 0 }), null);
+    });
+  });
+
+  describe('getAreaName', () => {
+    it('uses stored city in requested language', () => {
+      assert.strictEqual(getAreaName({ latitude: 0, longitude: 0, city: 'moscow' }, 'ru'), 'Москва');
+    });
+
+    it('uses nearest city and falls back to English names', () => {
+      assert.strictEqual(getAreaName({ latitude: 55.8, longitude: 37.5 }, 'de'), 'Moscow');
+    });
+
+    it('uses rounded coordinates far from cities', () => {
+      assert.strictEqual(getAreaName({ latitude: 10.1234, longitude: -20.5678 }), '~10.1, -20.6');
+    });
+  });
+
+  describe('findNearbyItems', () => {
+    const users = {
+      1: {
+        needs: [
+          { guid: 'far', location: { latitude: 59.9343, longitude: 30.3351 } },
+          { guid: 'near', location: { latitude: 55.76, longitude: 37.62 } },
+        ],
+        resources: [{ guid: 'none' }],
+      },
+      2: {
+        needs: [],
+        resources: [
+          { guid: 'nearest', location: { latitude: 55.7558, longitude: 37.6173 } },
+          { guid: 'closed', status: 'closed', location: { latitude: 55.7558, longitude: 37.6173 } },
+        ],
+      },
+    };
+    const location = { latitude: 55.7558, longitude: 37.6173 };
+
+    it('returns items within radius sorted by distance', () => {
+      const results = findNearbyItems({ users, location, radiusKm: 10, filter: (item) => item.status !== 'closed' });
+      assert.deepStrictEqual(results.map((r) => r.item.guid), ['nearest', 'near']);
+      assert.deepStrictEqual(results.map((r) => r.type), ['resource', 'need']);
+      assert.strictEqual(results[0].distance, 0);
+    });
+  });
+});
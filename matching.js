@@ -0,0 +1,138 @@
+import _ from 'lodash';
+import { getItemStatus } from './itemStatus.js';
+
+// Words shorter than this carry too little meaning to be compared
+const MIN_WORD_LENGTH = 3;
+// Prefix length used as a language-agnostic stem (works for both English and Russian)
+const STEM_LENGTH = 6;
+// Distance (km) within which two located items get a location bonus
+const NEARBY_RADIUS_KM = 25;
+
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'with', 'you', 'your', 'are', 'any', 'can', 'need', 'needs', 'give', 'get',
+  'have', 'has', 'who', 'will', 'from', 'this', 'that', 'please', 'someone', 'anyone',
+  'для', 'или', 'как', 'кто', 'что', 'это', 'нужен', 'нужна', 'нужно', 'нужны', 'отдам', 'ищу',
+  'есть', 'меня', 'могу', 'пожалуйста', 'кому'
+]);
+
+/**
+ * Reduce a word to a crude stem by truncating it to a fixed prefix.
+ *
+ * @param {string} word - Lowercased word.
+ * @returns {string} The stem.
+ */
+export function stem(word) {
+  return word.length > STEM_LENGTH ? word.slice(0, STEM_LENGTH) : word;
+}
+
+/**
+ * Extract hashtags (without '#') from a description.
+ *
+ * @param {string} [text] - Item description.
+ * @returns {string[]} Unique lowercased tags.
+ */
+export function extractTags(text) {
+  if (!text) return [];
+  const tags = Array.from(text.matchAll(/#([\p{L}\p{N}_]+)/gu), (m) => m[1].toLowerCase());
+  return _.uniq(tags);
+}
+
+/**
+ * Split a description into unique stems, skipping stop words and short words.
+ *
+ * @param {string} [text] - Item description.
+ * @returns {string[]} Unique stems.
+ */
+export function tokenize(text) {
+  if (!text) return [];
+  const words = text
+    .toLowerCase()
+    .replace(/#[\p{L}\p{N}_]+/gu, ' ')
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter((word) => word.length >= MIN_WORD_LENGTH && !STOP_WORDS.has(word));
+  return _.uniq(words.map(stem));
+}
+
+/**
+ * Great-circle distance between two points in kilometers.
+ *
+ * @param {{latitude: number, longitude: number}} a
+ * @param {{latitude: number, longitude: number}} b
+ * @returns {number} Distance in kilometers.
+ */
+export function distanceKm(a, b) {
+  const toRad = (deg) => (deg * Math.PI) / 180;
+  const dLat = toRad(b.latitude - a.latitude);
+  const dLon = toRad(b.longitude - a.longitude);
+  const h = Math.sin(dLat / 2) ** 2
+    + Math.cos(toRad(a.latitude)) * Math.cos(toRad(b.latitude)) * Math.sin(dLon / 2) ** 2;
+  return 2 * 6371 * Math.asin(Math.sqrt(h));
+}
+
+/**
+ * Score how well two items correspond to each other.
+ *
+ * The score is the share of overlapping stems (relative to the shorter description),
+ * plus a bonus for each shared hashtag or category and for being located near each other.
+ *
+ * @param {Object} a - First item with `description` and optional `category` and `location`.
+ * @param {Object} b - Second item with `description` and optional `category` and `location`.
+ * @returns {number} Score, 0 when nothing in common.
+ */
+export function scoreMatch(a, b) {
+  const stemsA = tokenize(a.description);
+  const stemsB = tokenize(b.description);
+  let score = 0;
+  const minSize = Math.min(stemsA.length, stemsB.length);
+  if (minSize > 0) {
+    score += _.intersection(stemsA, stemsB).length / minSize;
+  }
+  const tagsA = _.compact([...extractTags(a.description), a.category]);
+  const tagsB = _.compact([...extractTags(b.description), b.category]);
+  const sharedTags = _.uniq(_.intersection(tagsA, tagsB));
+  score += sharedTags.length * 0.5;
+  if (score > 0 && a.location && b.location) {
+    if (distanceKm(a.location, b.location) <= NEARBY_RADIUS_KM) score += 0.25;
+  }
+  return score;
+}
+
+/**
+ * Find the best candidates for an item in the opposite collection across all users.
+ *
+ * Items of the same owner, items that are not open and items with matching muted are skipped.
+ *
+ * @param {Object} options
+ * @param {Object} options.item - The item to find candidates for.
+ * @param {'need'|'resource'} options.type - Type of `options.item`.
+ * @param {Object} options.users - Users map from storage (`db.data.users`).
+ * @param {number|string} options.ownerId - Telegram ID of the item owner.
+ * @param {number} [options.limit=3] - Max number of candidates.
+ * @param {number} [options.minScore=0.5] - Minimum score to be considered a match.
+ * @returns {Array<{userId: string, item: Object, score: number}>} Candidates, best first.
+ */
+export function findMatches({ item, type, users, ownerId, limit = 3, minScore = 0.5 }) {
+  if (item.matchingMuted) return [];
+  const oppositeField = type === 'need' ? 'resources' : 'needs';
+  const candidates = [];
+  for (const [userId, user] of Object.entries(users || {})) {
+    if (String(userId) === String(ownerId)) continue;
+    for (const other of user[oppositeField] || []) {
+      if (other.matchingMuted || getItemStatus(other) !== 'open') continue;
+      const score = scoreMatch(item, other);
+      if (score >= minScore) candidates.push({ userId, item: other, score });
+    }
+  }
+  return _.take(_.orderBy(candidates, ['score', (c) => c.item.updatedAt || c.item.createdAt], ['desc', 'desc']), limit);
+}
+
+/**
+ * Build the key identifying a need-resource pair in the persisted matches.
+ *
+ * @param {string} needGuid
+ * @param {string} resourceGuid
+ * @returns {string}
+ */
+export function getMatchKey(needGuid, resourceGuid) {
+  return `${needGuid}:${resourceGuid}`;
+}
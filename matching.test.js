@@ -0,0 +1,113 @@
+import assert from 'assert';
+import { describe, it } from 'node:test';
+import { tokenize, extractTags, scoreMatch, findMatches, distanceKm, getMatchKey } from './matching.js';
+
+describe('matching', () => {
+  describe('tokenize', () => {
+    it('lowercases, drops stop words and short words', () => {
+      assert.deepStrictEqual(tokenize('I need a Bike for the city'), ['bike', 'city']);
+    });
+
+    it('reduces word forms to a common stem', () => {
+      assert.deepStrictEqual(tokenize('bicycle'), tokenize('bicycles'));
+      assert.deepStrictEqual(tokenize('велосипед'), tokenize('велосипеда'));
+    });
+
+    it('ignores hashtags', () => {
+      assert.deepStrictEqual(tokenize('#food apples'), ['apples']);
+    });
+
+    it('returns empty array for missing text', () => {
+      assert.deepStrictEqual(tokenize(undefined), []);
+    });
+  });
+
+  describe('extractTags', () => {
+    it('extracts unique lowercased hashtags', () => {
+      assert.deepStrictEqual(extractTags('#Food and #food #еда'), ['food', 'еда']);
+    });
+  });
+
+  describe('distanceKm', () => {
+    it('returns zero for the same point', () => {
+      const point = { latitude: 55.75, longitude: 37.62 };
+      assert.strictEqual(distanceKm(point, point), 0);
+    });
+
+    it('computes distance between Moscow and Saint Petersburg', () => {
+      const moscow = { latitude: 55.7558, longitude: 37.6173 };
+      const spb = { latitude: 59.9343, longitude: 30.3351 };
+      const distance = distanceKm(moscow, spb);
+      assert.ok(distance > 620 && distance < 640, `unexpected distance ${distance}`);
+    });
+  });
+
+  describe('scoreMatch', () => {
+    it('returns 0 for unrelated items', () => {
+      assert.strictEqual(scoreMatch({ description: 'winter jacket' }, { description: 'guitar lessons' }), 0);
+    });
+
+    it('scores overlapping words', () => {
+      assert.strictEqual(scoreMatch({ description: 'children bicycle' }, { description: 'old bicycles' }), 0.5);
+    });
+
+    it('adds bonus for shared tags', () => {
+      const score = scoreMatch({ description: 'apples #food' }, { description: 'apples #food' });
+      assert.strictEqual(score, 1.5);
+    });
+
+    it('treats the same category as a shared tag', () => {
+      const score = scoreMatch({ description: 'apples #food', category: 'food' }, { description: 'apples', category: 'food' });
+      assert.strictEqual(score, 1.5);
+    });
+
+    it('adds bonus for nearby locations only when there is other overlap', () => {
+      const location = { latitude: 55.75, longitude: 37.62 };
+      assert.strictEqual(scoreMatch({ description: 'sofa', location }, { description: 'sofa', location }), 1.25);
+      assert.strictEqual(scoreMatch({ description: 'sofa', location }, { description: 'books', location }), 0);
+    });
+  });
+
+  describe('findMatches', () => {
+    const users = {
+      1: { needs: [{ guid: 'n1', description: 'bicycle for kid' }], resources: [{ guid: 'r0', description: 'bicycle' }] },
+      2: { needs: [], resources: [{ guid: 'r1', description: 'old bicycle', updatedAt: '2024-01-01T00:00:00.000Z' }] },
+      3: { needs: [], resources: [{ guid: 'r2', description: 'kid bicycle', updatedAt: '2024-01-02T00:00:00.000Z' }] },
+      4: { needs: [], resources: [{ guid: 'r3', description: 'bicycle', matchingMuted: true }] },
+      5: { needs: [], resources: [{ guid: 'r4', description: 'piano' }] },
+      6: { needs: [], resources: [{ guid: 'r5', description: 'kid bicycle', status: 'fulfilled' }] },
+    };
+
+    it('finds candidates in the opposite collection of other users, best first', () => {
+      const matches = findMatches({ item: users[1].needs[0], type: 'need', users, ownerId: 1 });
+      assert.deepStrictEqual(matches.map((m) => m.item.guid), ['r2', 'r1']);
+      assert.deepStrictEqual(matches.map((m) => m.userId), ['3', '2']);
+    });
+
+    it('skips items that are not open', () => {
+      const matches = findMatches({ item: users[1].needs[0], type: 'need', users, ownerId: 1, limit: 10 });
+      assert.ok(!matches.some((m) => m.item.guid === 'r5'));
+    });
+
+    it('respects limit', () => {
+      const matches = findMatches({ item: users[1].needs[0], type: 'need', users, ownerId: 1, limit: 1 });
+      assert.strictEqual(matches.length, 1);
+    });
+
+    it('returns nothing for a muted item', () => {
+      const item = { description: 'bicycle', matchingMuted: true };
+      assert.deepStrictEqual(findMatches({ item, type: 'need', users, ownerId: 9 }), []);
+    });
+
+    it('searches needs for a resource', () => {
+      const matches = findMatches({ item: { description: 'bicycle' }, type: 'resource', users, ownerId: 9 });
+      assert.deepStrictEqual(matches.map((m) => m.item.guid), ['n1']);
+    });
+  });
+
+  describe('getMatchKey', () => {
+    it('joins need and resource guids', () => {
+      assert.strictEqual(getMatchKey('n', 'r'), 'n:r');
+    });
+  });
+});
@@ -0,0 +1,98 @@
+import _ from 'lodash';
+
+// Supported media types and the Telegram methods sending them with a caption
+export const SEND_METHODS = {
+  photo: 'sendPhoto',
+  video: 'sendVideo',
+  animation: 'sendAnimation',
+  document: 'sendDocument',
+  audio: 'sendAudio',
+  voice: 'sendVoice',
+};
+
+// Media types that `editMessageMedia` can switch between
+const EDITABLE_TYPES = ['photo', 'video', 'animation', 'document', 'audio'];
+
+// Inline query result types and file id fields of cached media
+const INLINE_RESULTS = {
+  photo: { type: 'photo', field: 'photo_file_id' },
+  video: { type: 'video', field: 'video_file_id' },
+  animation: { type: 'mpeg4_gif', field: 'mpeg4_file_id' },
+  document: { type: 'document', field: 'document_file_id' },
+  audio: { type: 'audio', field: 'audio_file_id' },
+  voice: { type: 'voice', field: 'voice_file_id' },
+};
+
+/**
+ * Get the media attached to a message: the largest photo size or the video,
+ * animation, document, audio or voice file.
+ *
+ * @param {Object} message - Telegram message.
+ * @returns {{type: string, fileId: string}|null} Media or null for text messages.
+ */
+export function getMessageMedia(message) {
+  if (message.photo?.length) {
+    return { type: 'photo', fileId: message.photo[message.photo.length - 1].file_id };
+  }
+  // Animations also come with a `document` field, check them first
+  const type = ['animation', 'video', 'document', 'audio', 'voice'].find((field) => message[field]);
+  return type ? { type, fileId: message[type].file_id } : null;
+}
+
+/**
+ * Get the media of an item. Items stored before media support keep a single photo in `fileId`.
+ *
+ * @param {Object} item - Need or resource.
+ * @returns {Array<{type: string, fileId: string}>} Media, empty for text items.
+ */
+export function getItemMedia(item) {
+  if (item.media?.length) return item.media;
+  return item.fileId ? [{ type: 'photo', fileId: item.fileId }] : [];
+}
+
+/**
+ * Check whether a single-media post can be switched to other media in place.
+ *
+ * @param {Array} previous - Media of the post.
+ * @param {Array} next - New media.
+ * @returns {boolean}
+ */
+export function canEditMedia(previous, next) {
+  return previous.length === 1 && next.length === 1
+    && EDITABLE_TYPES.includes(previous[0].type) && EDITABLE_TYPES.includes(next[0].type);
+}
+
+/**
+ * Build `sendMediaGroup` input for an album.
+ *
+ * @param {Array<{type: string, fileId: string}>} media - Album media.
+ * @returns {Array<{type: string, media: string}>} Input media.
+ */
+export function buildInputMediaGroup(media) {
+  return media.map(({ type, fileId }) => ({ type, media: fileId }));
+}
+
+/**
+ * Build the media fields of a cached inline query result.
+ *
+ * @param {{type: string, fileId: string}} media - Media to share.
+ * @returns {Object|null} Result `type` and file id field, null for unsupported media.
+ */
+export function buildInlineMedia(media) {
+  const result = INLINE_RESULTS[media?.type];
+  return result ? { type: result.type, [result.field]: media.fileId } : null;
+}
+
+/**
+ * Sort album parts by message id and collect their media and caption.
+ *
+ * @param {Object[]} messages - Messages sharing a `media_group_id`.
+ * @returns {{caption: string, media: Array<{type: string, fileId: string}>}} Album content.
+ */
+export function getAlbumContent(messages) {
+  const sorted = _.sortBy(messages, 'message_id');
+  return {
+    caption: sorted.find((message) => message.caption)?.caption || '',
+    media: sorted.map(getMessageMedia).filter(Boolean),
+  };
+}
@@ -0,0 +1,72 @@
+import assert from 'assert';
+import { describe, it } from 'node:test';
+import { getMessageMedia, getItemMedia, canEditMedia, buildInputMediaGroup, buildInlineMedia, getAlbumContent } from './media.js';
+
+describe('media', () => {
+  describe('getMessageMedia', () => {
+    it('takes the largest photo size', () => {
+      assert.deepStrictEqual(getMessageMedia({ photo: [{ file_id: 'small' }, { file_id: 'large' }] }), { type: 'photo', fileId: 'large' });
+    });
+
+    it('detects video, animation, document, audio and voice', () => {
+      assert.deepStrictEqual(getMessageMedia({ video: { file_id: 'v' } }), { type: 'video', fileId: 'v' });
+      assert.deepStrictEqual(getMessageMedia({ animation: { file_id: 'a' }, document: { file_id: 'a' } }), { type: 'animation', fileId: 'a' });
+      assert.deepStrictEqual(getMessageMedia({ document: { file_id: 'd', mime_type: 'application/pdf' } }), { type: 'document', fileId: 'd' });
+      assert.deepStrictEqual(getMessageMedia({ audio: { file_id: 'm' } }), { type: 'audio', fileId: 'm' });
+      assert.deepStrictEqual(getMessageMedia({ voice: { file_id: 'n' } }), { type: 'voice', fileId: 'n' });
+    });
+
+    it('returns null for text messages', () => {
+      assert.strictEqual(getMessageMedia({ text: 'hi' }), null);
+    });
+  });
+
+  describe('getItemMedia', () => {
+    it('reads media and legacy photo file ids', () => {
+      const media = [{ type: 'video', fileId: 'v' }];
+      assert.deepStrictEqual(getItemMedia({ media }), media);
+      assert.deepStrictEqual(getItemMedia({ fileId: 'p' }), [{ type: 'photo', fileId: 'p' }]);
+      assert.deepStrictEqual(getItemMedia({}), []);
+    });
+  });
+
+  describe('canEditMedia', () => {
+    it('allows switching single editable media only', () => {
+      const photo = [{ type: 'photo', fileId: 'p' }];
+      assert.strictEqual(canEditMedia(photo, [{ type: 'video', fileId: 'v' }]), true);
+      assert.strictEqual(canEditMedia(photo, [{ type: 'voice', fileId: 'n' }]), false);
+      assert.strictEqual(canEditMedia(photo, []), false);
+      assert.strictEqual(canEditMedia(photo, [...photo, ...photo]), false);
+    });
+  });
+
+  describe('buildInputMediaGroup', () => {
+    it('maps media to input media', () => {
+      assert.deepStrictEqual(buildInputMediaGroup([{ type: 'photo', fileId: 'p' }, { type: 'video', fileId: 'v' }]), [
+        { type: 'photo', media: 'p' },
+        { type: 'video', media: 'v' },
+      ]);
+    });
+  });
+
+  describe('buildInlineMedia', () => {
+    it('builds cached result fields', () => {
+      assert.deepStrictEqual(buildInlineMedia({ type: 'photo', fileId: 'p' }), { type: 'photo', photo_file_id: 'p' });
+      assert.deepStrictEqual(buildInlineMedia({ type: 'animation', fileId: 'a' }), { type: 'mpeg4_gif', mpeg4_file_id: 'a' });
+      assert.strictEqual(buildInlineMedia(undefined), null);
+    });
+  });
+
+  describe('getAlbumContent', () => {
+    it('orders parts and takes the caption from any part', () => {
+      const content = getAlbumContent([
+        { message_id: 3, video: { file_id: 'v' } },
+        { message_id: 2, photo: [{ file_id: 'p' }], caption: 'Bike' },
+      ]);
+      assert.deepStrictEqual(content, {
+        caption: 'Bike',
+        media: [{ type: 'photo', fileId: 'p' }, { type: 'video', fileId: 'v' }],
+      });
+    });
+  });
+});
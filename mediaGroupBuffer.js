@@ -0,0 +1,48 @@
+/**
+ * Collects album parts: Telegram delivers each photo or video of a media group
+ * as a separate message sharing `media_group_id`. The group is complete when
+ * no new part arrives for `delayMs`.
+ */
+export default class MediaGroupBuffer {
+  /**
+   * @param {Object} options
+   * @param {number} options.delayMs - Time to wait for more parts after the last one.
+   * @param {function(Object[]): *} options.onComplete - Called with all messages of a group.
+   */
+  constructor({ delayMs, onComplete }) {
+    this.delayMs = delayMs;
+    this.onComplete = onComplete;
+    this.groups = new Map();
+  }
+
+  /**
+   * Add a message of a media group, restarting the wait for more parts.
+   *
+   * @param {Object} message - Telegram message with `media_group_id`.
+   */
+  add(message) {
+    const id = message.media_group_id;
+    const group = this.groups.get(id) || { messages: [] };
+    clearTimeout(group.timer);
+    group.messages.push(message);
+    group.timer = setTimeout(() => {
+      this.groups.delete(id);
+      this.onComplete(group.messages);
+    }, this.delayMs);
+    this.groups.set(id, group);
+  }
+
+  /**
+   * Complete all groups right away without waiting for more parts, e.g. on shutdown.
+   *
+   * @returns {Array} Results of `onComplete` for each group.
+   */
+  flush() {
+    const groups = [...this.groups.values()];
+    this.groups.clear();
+    return groups.map((group) => {
+      clearTimeout(group.timer);
+      return this.onComplete(group.messages);
+    });
+  }
+}
@@ -0,0 +1,31 @@
+import assert from 'assert';
+import { describe, it } from 'node:test';
+import MediaGroupBuffer from './mediaGroupBuffer.js';
+
+describe('MediaGroupBuffer', () => {
+  it('completes each group once after its last part', async () => {
+    const completed = [];
+    const buffer = new MediaGroupBuffer({ delayMs: 20, onComplete: (messages) => completed.push(messages) });
+    buffer.add({ message_id: 1, media_group_id: 'a' });
+    buffer.add({ message_id: 10, media_group_id: 'b' });
+    await new Promise((resolve) => setTimeout(resolve, 10));
+    buffer.add({ message_id: 2, media_group_id: 'a' });
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    assert.deepStrictEqual(completed.map((messages) => messages.map((message) => message.message_id)), [[10], [1, 2]]);
+    assert.strictEqual(buffer.groups.size, 0);
+  });
+
+  it('completes pending groups on flush', async () => {
+    const completed = [];
+    const buffer = new MediaGroupBuffer({ delayMs: 20, onComplete: (messages) => completed.push(messages) });
+    buffer.add({ message_id: 1, media_group_id: 'a' });
+    buffer.add({ message_id: 2, media_group_id: 'a' });
+    buffer.add({ message_id: 10, media_group_id: 'b' });
+    assert.deepStrictEqual(buffer.flush(), [1, 2]);
+    assert.deepStrictEqual(completed.map((messages) => messages.map((message) => message.message_id)), [[1, 2], [10]]);
+    assert.strictEqual(buffer.groups.size, 0);
+    // Timers of flushed groups don't fire
+    await new Promise((resolve) => setTimeout(resolve, 30));
+    assert.strictEqual(completed.length, 2);
+  });
+});
@@ -0,0 +1,52 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import _ from 'lodash';
+import SqliteStorage from './sqliteStorage.js';
+
+/**
+ * Import an existing `db.json` into an empty SQLite database and verify the result.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.jsonPath='db.json'] - Source JSON database.
+ * @param {string} [options.sqlitePath='db.sqlite'] - Target SQLite database (must not contain users).
+ * @returns {Promise<{users: number, needs: number, resources: number}>} Imported counts.
+ */
+export async function migrateJsonToSqlite({ jsonPath = 'db.json', sqlitePath = 'db.sqlite' } = {}) {
+  const data = JSON.parse(await fs.promises.readFile(jsonPath, 'utf8'));
+  data.users ||= {};
+  const storage = new SqliteStorage({ filename: sqlitePath });
+  await storage.initDB();
+  try {
+    if (!_.isEmpty(storage.db.data.users)) {
+      throw new Error(`${sqlitePath} already contains users, refusing to overwrite`);
+    }
+    storage.db.data = data;
+    await storage.writeDB();
+    // Reload from SQLite to make sure nothing was lost
+    storage.load();
+    if (!_.isEqual(storage.db.data, data)) {
+      throw new Error(`Data loaded from ${sqlitePath} differs from ${jsonPath}`);
+    }
+  } finally {
+    storage.close();
+  }
+  const users = Object.values(data.users);
+  return {
+    users: users.length,
+    needs: _.sumBy(users, (user) => (user.needs || []).length),
+    resources: _.sumBy(users, (user) => (user.resources || []).length),
+  };
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  const [jsonPath, sqlitePath] = process.argv.slice(2);
+  migrateJsonToSqlite({ jsonPath, sqlitePath })
+    .then(({ users, needs, resources }) => {
+      console.log(`Imported ${users} users, ${needs} needs and ${resources} resources`);
+    })
+    .catch((error) => {
+      console.error('Migration failed:', error.message);
+      process.exit(1);
+    });
+}
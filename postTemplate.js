@@ -0,0 +1,19 @@
+/**
+ * Fill a channel post template with `{{name}}` placeholders. Lines whose
+ * placeholders are all empty are dropped, so optional parts (status, area…)
+ * disappear together with their decoration.
+ *
+ * @param {string} template - Template text, one post line per template line.
+ * @param {Object<string, string>} vars - Placeholder values.
+ * @returns {string} Rendered text.
+ */
+export function renderTemplate(template, vars) {
+  return template
+    .split('\n')
+    .filter((line) => {
+      const names = [...line.matchAll(/\{\{(\w+)\}\}/g)].map((match) => match[1]);
+      return !names.length || names.some((name) => vars[name]);
+    })
+    .map((line) => line.replace(/\{\{(\w+)\}\}/g, (placeholder, name) => vars[name] ?? ''))
+    .join('\n');
+}
@@ -0,0 +1,25 @@
+import assert from 'assert';
+import { describe, it } from 'node:test';
+import { renderTemplate } from './postTemplate.js';
+
+describe('renderTemplate', () => {
+  const template = '<i>Need of {{mention}}.</i>\n<b>{{status}}</b>\n📍 {{area}}\n{{hashtags}}';
+
+  it('fills all placeholders of a line', () => {
+    assert.strictEqual(
+      renderTemplate('{{type}} of {{mention}}, {{type}}', { type: 'Need', mention: '@bob' }),
+      'Need of @bob, Need'
+    );
+  });
+
+  it('drops lines whose placeholders are empty', () => {
+    assert.strictEqual(
+      renderTemplate(template, { mention: '@bob', status: '', hashtags: '#need' }),
+      '<i>Need of @bob.</i>\n#need'
+    );
+  });
+
+  it('keeps lines without placeholders and lines with some values', () => {
+    assert.strictEqual(renderTemplate('Hello\n\n{{a}} {{b}}', { a: '', b: 'x' }), 'Hello\n\n x');
+  });
+});
@@ -0,0 +1,95 @@
+import _ from 'lodash';
+
+/**
+ * Get the id of the relay session between an item owner and a responder.
+ * Sessions are anchored on the item guid, so a pair has one session per item.
+ *
+ * @param {string} guid - Guid of the item.
+ * @param {number|string} responderId - Telegram ID of the responder.
+ * @returns {string}
+ */
+export function getRelaySessionId(guid, responderId) {
+  return `${guid}_${responderId}`;
+}
+
+/**
+ * Start a relay session, or restart an ended one. Blocked sessions stay closed.
+ *
+ * @param {Object|undefined} session - Stored session, if any.
+ * @param {Object} options
+ * @param {string} options.guid - Guid of the item.
+ * @param {'need'|'resource'} options.type - Type of the item.
+ * @param {Object} options.owner - Stored user info of the item owner.
+ * @param {Object} options.responder - Stored user info of the responder.
+ * @param {number} [options.now=Date.now()] - Current time in milliseconds.
+ * @returns {Object|null} The active session, null when it was blocked.
+ */
+export function startRelaySession(session, { guid, type, owner, responder, now = Date.now() }) {
+  if (session?.blockedBy) return null;
+  if (session && !session.endedAt) return session;
+  return {
+    id: getRelaySessionId(guid, responder.id),
+    guid,
+    type,
+    owner,
+    responder,
+    startedAt: new Date(now).toISOString(),
+    messageCount: 0
+  };
+}
+
+/**
+ * Get the other party of a relay session.
+ *
+ * @param {Object} session - Relay session.
+ * @param {number|string} userId - Telegram ID of one party.
+ * @returns {number|null} Telegram ID of the counterpart, null if the user is not a party.
+ */
+export function getCounterpartId(session, userId) {
+  if (String(session.owner.id) === String(userId)) return session.responder.id;
+  if (String(session.responder.id) === String(userId)) return session.owner.id;
+  return null;
+}
+
+/**
+ * Check whether messages are relayed in a session.
+ *
+ * @param {Object} [session] - Relay session.
+ * @returns {boolean}
+ */
+export function isRelayActive(session) {
+  return Boolean(session) && !session.endedAt;
+}
+
+/**
+ * End a relay session, optionally blocking it so it can't be restarted.
+ *
+ * @param {Object} session - Relay session.
+ * @param {Object} options
+ * @param {number} options.userId - Telegram ID of the party ending the session.
+ * @param {boolean} [options.block=false] - Whether the party blocks the counterpart.
+ * @param {number} [options.now=Date.now()] - Current time in milliseconds.
+ * @returns {boolean} Whether the session was active.
+ */
+export function endRelaySession(session, { userId, block = false, now = Date.now() }) {
+  const wasActive = isRelayActive(session);
+  if (wasActive) {
+    session.endedAt = new Date(now).toISOString();
+    session.endedBy = userId;
+  }
+  if (block) session.blockedBy = userId;
+  return wasActive;
+}
+
+/**
+ * Find the active sessions of a user, e.g. for /endchat outside of a pending reply.
+ *
+ * @param {Object<string, Object>} [sessions] - Stored sessions by id.
+ * @param {number|string} userId - Telegram ID of a party.
+ * @returns {Object[]} Active sessions, the most recently used first.
+ */
+export function findActiveRelaySessions(sessions, userId) {
+  const active = Object.values(sessions || {})
+    .filter((session) => isRelayActive(session) && getCounterpartId(session, userId) !== null);
+  return _.orderBy(active, (session) => session.lastMessageAt || session.startedAt, 'desc');
+}
@@ -0,0 +1,65 @@
+import assert from 'assert';
+import { describe, it } from 'node:test';
+import { getRelaySessionId, startRelaySession, getCounterpartId, isRelayActive, endRelaySession, findActiveRelaySessions } from './relay.js';
+
+describe('relay', () => {
+  const guid = '01890f2e-8b3a-7cc1-9a2b-3c4d5e6f7a8b';
+  const owner = { id: 1, first_name: 'Owner' };
+  const responder = { id: 2, first_name: 'Helper' };
+  const options = { guid, type: 'need', owner, responder, now: 0 };
+
+  it('anchors sessions on the item guid and responder', () => {
+    assert.strictEqual(getRelaySessionId(guid, 2), `${guid}_2`);
+    assert.deepStrictEqual(startRelaySession(undefined, options), {
+      id: `${guid}_2`,
+      guid,
+      type: 'need',
+      owner,
+      responder,
+      startedAt: '1970-01-01T00:00:00.000Z',
+      messageCount: 0
+    });
+  });
+
+  it('keeps active sessions and restarts ended ones', () => {
+    const session = startRelaySession(undefined, options);
+    assert.strictEqual(startRelaySession(session, options), session);
+    assert.strictEqual(endRelaySession(session, { userId: 1, now: 1000 }), true);
+    assert.strictEqual(isRelayActive(session), false);
+    assert.strictEqual(session.endedBy, 1);
+    assert.strictEqual(endRelaySession(session, { userId: 2 }), false);
+    const restarted = startRelaySession(session, { ...options, now: 2000 });
+    assert.strictEqual(isRelayActive(restarted), true);
+    assert.strictEqual(restarted.startedAt, '1970-01-01T00:00:02.000Z');
+  });
+
+  it('does not restart blocked sessions', () => {
+    const session = startRelaySession(undefined, options);
+    endRelaySession(session, { userId: 2, block: true });
+    assert.strictEqual(session.blockedBy, 2);
+    assert.strictEqual(startRelaySession(session, options), null);
+  });
+
+  it('finds the counterpart of a party', () => {
+    const session = startRelaySession(undefined, options);
+    assert.strictEqual(getCounterpartId(session, '1'), 2);
+    assert.strictEqual(getCounterpartId(session, 2), 1);
+    assert.strictEqual(getCounterpartId(session, 3), null);
+    assert.strictEqual(isRelayActive(undefined), false);
+  });
+
+  it('finds active sessions of a party, the most recently used first', () => {
+    const first = startRelaySession(undefined, options);
+    const second = startRelaySession(undefined, { ...options, responder: { id: 3 }, now: 1000 });
+    const ended = startRelaySession(undefined, { ...options, responder: { id: 4 } });
+    endRelaySession(ended, { userId: 1 });
+    const sessions = { [first.id]: first, [second.id]: second, [ended.id]: ended };
+    assert.deepStrictEqual(findActiveRelaySessions(sessions, 1), [second, first]);
+    first.lastMessageAt = '1970-01-01T00:00:05.000Z';
+    assert.deepStrictEqual(findActiveRelaySessions(sessions, 1), [first, second]);
+    // Responders can end their chat before pressing Reply
+    assert.deepStrictEqual(findActiveRelaySessions(sessions, '2'), [first]);
+    assert.deepStrictEqual(findActiveRelaySessions(sessions, 4), []);
+    assert.deepStrictEqual(findActiveRelaySessions(undefined, 1), []);
+  });
+});
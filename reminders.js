@@ -0,0 +1,30 @@
+import { getItemStatus } from './itemStatus.js';
+
+/**
+ * Decide what the reminder scheduler should do with an item.
+ *
+ * An open item that had no activity (creation, bump, edit or "Keep" answer) for
+ * `remindAfterMs` gets a reminder. If the owner does not react to the reminder
+ * within `graceMs`, the item is archived. All state lives on the item
+ * (`item.reminder`), so decisions survive restarts.
+ *
+ * @param {Object} item - Need or resource.
+ * @param {Object} options
+ * @param {number} options.now - Current time in milliseconds.
+ * @param {number} options.remindAfterMs - Inactivity period before a reminder is sent.
+ * @param {number} options.graceMs - Period to wait for an answer before archiving.
+ * @returns {'remind'|'archive'|null} Action to perform, or null when nothing is due.
+ */
+export function getReminderAction(item, { now, remindAfterMs, graceMs }) {
+  if (getItemStatus(item) !== 'open') return null;
+  const lastActive = Math.max(
+    Date.parse(item.updatedAt || item.createdAt) || 0,
+    Date.parse(item.reminder?.keptAt) || 0
+  );
+  const sentAt = Date.parse(item.reminder?.sentAt) || 0;
+  // A reminder is pending until any activity happens after it was sent
+  if (sentAt && sentAt >= lastActive) {
+    return now - sentAt >= graceMs ? 'archive' : null;
+  }
+  return now - lastActive >= remindAfterMs ? 'remind' : null;
+}
@@ -0,0 +1,45 @@
+import assert from 'assert';
+import { describe, it } from 'node:test';
+import { getReminderAction } from './reminders.js';
+
+describe('getReminderAction', () => {
+  const day = 24 * 60 * 60 * 1000;
+  const now = Date.parse('2024-02-01T00:00:00.000Z');
+  const options = { now, remindAfterMs: 14 * day, graceMs: 7 * day };
+  const daysAgo = (days) => new Date(now - days * day).toISOString();
+
+  it('does nothing for recent items', () => {
+    assert.strictEqual(getReminderAction({ createdAt: daysAgo(3), updatedAt: daysAgo(3) }, options), null);
+  });
+
+  it('reminds about stale items', () => {
+    assert.strictEqual(getReminderAction({ createdAt: daysAgo(20), updatedAt: daysAgo(15) }, options), 'remind');
+  });
+
+  it('waits for an answer during the grace period', () => {
+    const item = { createdAt: daysAgo(20), updatedAt: daysAgo(20), reminder: { sentAt: daysAgo(2) } };
+    assert.strictEqual(getReminderAction(item, options), null);
+  });
+
+  it('archives items with unanswered reminders after the grace period', () => {
+    const item = { createdAt: daysAgo(30), updatedAt: daysAgo(30), reminder: { sentAt: daysAgo(8) } };
+    assert.strictEqual(getReminderAction(item, options), 'archive');
+  });
+
+  it('treats a bump after the reminder as an answer', () => {
+    const item = { createdAt: daysAgo(30), updatedAt: daysAgo(1), reminder: { sentAt: daysAgo(8) } };
+    assert.strictEqual(getReminderAction(item, options), null);
+  });
+
+  it('treats "keep" as activity and reminds again later', () => {
+    const kept = { createdAt: daysAgo(40), updatedAt: daysAgo(40), reminder: { sentAt: daysAgo(10), keptAt: daysAgo(9) } };
+    assert.strictEqual(getReminderAction(kept, options), null);
+    const keptLongAgo = { createdAt: daysAgo(60), updatedAt: daysAgo(60), reminder: { sentAt: daysAgo(30), keptAt: daysAgo(29) } };
+    assert.strictEqual(getReminderAction(keptLongAgo, options), 'remind');
+  });
+
+  it('ignores items that are not open', () => {
+    assert.strictEqual(getReminderAction({ createdAt: daysAgo(20), status: 'fulfilled' }, options), null);
+    assert.strictEqual(getReminderAction({ createdAt: daysAgo(20), status: 'closed' }, options), null);
+  });
+});
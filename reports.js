@@ -0,0 +1,58 @@
+import _ from 'lodash';
+
+// Reports made after the last dismissal by moderators
+function getActiveReports(item) {
+  const dismissedAt = Date.parse(item.reportsDismissedAt);
+  if (!dismissedAt) return item.reports || [];
+  return _.filter(item.reports, (report) => Date.parse(report.reportedAt) > dismissedAt);
+}
+
+/**
+ * Check whether a user has an active (not dismissed) report on an item.
+ *
+ * @param {Object} item - Need or resource.
+ * @param {number|string} reporterId - Telegram ID of the reporter.
+ * @returns {boolean}
+ */
+export function hasReported(item, reporterId) {
+  return getActiveReports(item).some((report) => String(report.reporterId) === String(reporterId));
+}
+
+/**
+ * Count distinct users with active reports on an item.
+ *
+ * @param {Object} item - Need or resource.
+ * @returns {number}
+ */
+export function countActiveReporters(item) {
+  return _.uniqBy(getActiveReports(item), (report) => String(report.reporterId)).length;
+}
+
+/**
+ * Record a report on an item (`item.reports`), ignoring repeated reports by the same user.
+ *
+ * @param {Object} item - Need or resource.
+ * @param {Object} report
+ * @param {number} report.reporterId - Telegram ID of the reporter.
+ * @param {string} [report.reason] - Reason given by the reporter.
+ * @param {number} [report.now=Date.now()] - Current time in milliseconds.
+ * @returns {boolean} Whether the report was added.
+ */
+export function addReport(item, { reporterId, reason, now = Date.now() }) {
+  if (hasReported(item, reporterId)) return false;
+  const report = { reporterId, reportedAt: new Date(now).toISOString() };
+  if (reason) report.reason = reason;
+  item.reports = [...(item.reports || []), report];
+  return true;
+}
+
+/**
+ * Check whether an item reached the number of independent reports that hides it.
+ *
+ * @param {Object} item - Need or resource.
+ * @param {number} threshold - Number of reporters, 0 disables auto-hiding.
+ * @returns {boolean}
+ */
+export function shouldAutoHide(item, threshold) {
+  return threshold > 0 && countActiveReporters(item) >= threshold;
+}
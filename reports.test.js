@@ -0,0 +1,60 @@
+import assert from 'assert';
+import { describe, it } from 'node:test';
+import { addReport, hasReported, countActiveReporters, shouldAutoHide } from './reports.js';
+
+describe('reports', () => {
+  describe('addReport', () => {
+    it('records reports with optional reason', () => {
+      const item = {};
+      assert.strictEqual(addReport(item, { reporterId: 1, reason: 'scam', now: 0 }), true);
+      assert.strictEqual(addReport(item, { reporterId: 2, now: 1000 }), true);
+      assert.deepStrictEqual(item.reports, [
+        { reporterId: 1, reason: 'scam', reportedAt: '1970-01-01T00:00:00.000Z' },
+        { reporterId: 2, reportedAt: '1970-01-01T00:00:01.000Z' },
+      ]);
+    });
+
+    it('ignores repeated reports by the same user', () => {
+      const item = {};
+      addReport(item, { reporterId: 1, now: 0 });
+      assert.strictEqual(addReport(item, { reporterId: '1', now: 1000 }), false);
+      assert.strictEqual(item.reports.length, 1);
+    });
+
+    it('accepts new reports after dismissal', () => {
+      const item = {};
+      addReport(item, { reporterId: 1, now: 0 });
+      item.reportsDismissedAt = new Date(500).toISOString();
+      assert.strictEqual(hasReported(item, 1), false);
+      assert.strictEqual(addReport(item, { reporterId: 1, now: 1000 }), true);
+    });
+  });
+
+  describe('countActiveReporters', () => {
+    it('counts distinct reporters after the last dismissal', () => {
+      const item = {
+        reportsDismissedAt: '2024-01-02T00:00:00.000Z',
+        reports: [
+          { reporterId: 1, reportedAt: '2024-01-01T00:00:00.000Z' },
+          { reporterId: 2, reportedAt: '2024-01-03T00:00:00.000Z' },
+          { reporterId: 3, reportedAt: '2024-01-04T00:00:00.000Z' },
+        ],
+      };
+      assert.strictEqual(countActiveReporters(item), 2);
+      assert.strictEqual(countActiveReporters({}), 0);
+    });
+  });
+
+  describe('shouldAutoHide', () => {
+    const item = { reports: [{ reporterId: 1, reportedAt: '2024-01-01T00:00:00.000Z' }, { reporterId: 2, reportedAt: '2024-01-01T00:00:00.000Z' }] };
+
+    it('hides items reaching the threshold', () => {
+      assert.strictEqual(shouldAutoHide(item, 2), true);
+      assert.strictEqual(shouldAutoHide(item, 3), false);
+    });
+
+    it('never hides when threshold is 0', () => {
+      assert.strictEqual(shouldAutoHide(item, 0), false);
+    });
+  });
+});
@@ -0,0 +1,53 @@
+import _ from 'lodash';
+
+/**
+ * Check whether a user has a response on an item still waiting for the owner's decision.
+ *
+ * @param {Object} item - Need or resource.
+ * @param {number|string} responderId - Telegram ID of the responder.
+ * @returns {boolean}
+ */
+export function hasPendingResponse(item, responderId) {
+  return _.some(item.responses, (response) =>
+    response.status === 'pending' && String(response.responderId) === String(responderId));
+}
+
+/**
+ * Record a response on an item (`item.responses`), ignoring a new one while the
+ * previous response of the same user is pending.
+ *
+ * @param {Object} item - Need or resource.
+ * @param {Object} response
+ * @param {Object} response.responder - Stored user info of the responder.
+ * @param {string} response.message - Message for the owner.
+ * @param {number} [response.now=Date.now()] - Current time in milliseconds.
+ * @returns {number|null} Index of the added response, null if one is pending.
+ */
+export function addResponse(item, { responder, message, now = Date.now() }) {
+  if (hasPendingResponse(item, responder.id)) return null;
+  item.responses = [...(item.responses || []), {
+    responderId: responder.id,
+    responder,
+    message,
+    status: 'pending',
+    respondedAt: new Date(now).toISOString()
+  }];
+  return item.responses.length - 1;
+}
+
+/**
+ * Apply the owner's decision to a pending response.
+ *
+ * @param {Object} item - Need or resource.
+ * @param {number} index - Index of the response in `item.responses`.
+ * @param {'accepted'|'declined'} status - Decision of the owner.
+ * @param {number} [now=Date.now()] - Current time in milliseconds.
+ * @returns {Object|null} The decided response, null if it is missing or already decided.
+ */
+export function decideResponse(item, index, status, now = Date.now()) {
+  const response = item.responses?.[index];
+  if (!response || response.status !== 'pending') return null;
+  response.status = status;
+  response.decidedAt = new Date(now).toISOString();
+  return response;
+}
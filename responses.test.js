@@ -0,0 +1,41 @@
+import assert from 'assert';
+import { describe, it } from 'node:test';
+import { hasPendingResponse, addResponse, decideResponse } from './responses.js';
+
+describe('responses', () => {
+  const responder = { id: 42, username: 'helper' };
+
+  it('records responses with their index', () => {
+    const item = {};
+    assert.strictEqual(addResponse(item, { responder, message: 'I have one', now: 0 }), 0);
+    assert.deepStrictEqual(item.responses, [{
+      responderId: 42,
+      responder,
+      message: 'I have one',
+      status: 'pending',
+      respondedAt: '1970-01-01T00:00:00.000Z'
+    }]);
+    assert.strictEqual(addResponse(item, { responder: { id: 7 }, message: 'Me too' }), 1);
+  });
+
+  it('allows one pending response per user', () => {
+    const item = {};
+    addResponse(item, { responder, message: 'First' });
+    assert.strictEqual(hasPendingResponse(item, '42'), true);
+    assert.strictEqual(addResponse(item, { responder, message: 'Again' }), null);
+    decideResponse(item, 0, 'declined');
+    assert.strictEqual(hasPendingResponse(item, 42), false);
+    assert.strictEqual(addResponse(item, { responder, message: 'Again' }), 1);
+  });
+
+  it('decides pending responses once', () => {
+    const item = {};
+    addResponse(item, { responder, message: 'Hi' });
+    const response = decideResponse(item, 0, 'accepted', 1000);
+    assert.strictEqual(response.status, 'accepted');
+    assert.strictEqual(response.decidedAt, '1970-01-01T00:00:01.000Z');
+    assert.strictEqual(decideResponse(item, 0, 'declined'), null);
+    assert.strictEqual(decideResponse(item, 5, 'declined'), null);
+    assert.strictEqual(decideResponse({}, 0, 'declined'), null);
+  });
+});
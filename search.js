@@ -0,0 +1,94 @@
+import _ from 'lodash';
+import { stem } from './matching.js';
+
+// Keywords that restrict the search to one item type when used as the first word
+const TYPE_KEYWORDS = {
+  get: 'need',
+  need: 'need',
+  needs: 'need',
+  give: 'resource',
+  resource: 'resource',
+  resources: 'resource',
+};
+
+/**
+ * Parse the `/search` command payload into optional type and category filters and search terms.
+ *
+ * @param {string} [text] - Command payload, e.g. `give #transport bicycle`.
+ * @param {string[]} [categories=[]] - Known category ids, recognized as `#category` words.
+ * @returns {{type: ('need'|'resource'|null), category: (string|null), terms: string[]}} Parsed query.
+ */
+export function parseSearchQuery(text, categories = []) {
+  const words = (text || '').toLowerCase().split(/[^\p{L}\p{N}#_]+/u).filter(Boolean);
+  let type = null;
+  if (words.length && TYPE_KEYWORDS[words[0]]) {
+    type = TYPE_KEYWORDS[words.shift()];
+  }
+  let category = null;
+  const categoryIndex = words.findIndex((word) => word.startsWith('#') && categories.includes(word.slice(1)));
+  if (categoryIndex !== -1) {
+    category = words.splice(categoryIndex, 1)[0].slice(1);
+  }
+  return { type, category, terms: _.uniq(words.map(stem)) };
+}
+
+/**
+ * Search item descriptions across all users.
+ *
+ * An item matches when its description contains every term (terms are stems,
+ * so different word forms are found too). Results are sorted by `updatedAt`, newest first.
+ *
+ * @param {Object} options
+ * @param {Object} options.users - Users map from storage (`db.data.users`).
+ * @param {string[]} options.terms - Search terms from `parseSearchQuery`.
+ * @param {'need'|'resource'|null} [options.type=null] - Restrict results to one type.
+ * @param {string|null} [options.category=null] - Restrict results to one category.
+ * @param {function(Object): boolean} [options.filter] - Extra predicate applied to items.
+ * @returns {Array<{userId: string, type: string, item: Object}>} Matching items.
+ */
+export function searchItems({ users, terms, type = null, category = null, filter = () => true }) {
+  const types = type ? [type] : ['need', 'resource'];
+  const results = [];
+  for (const [userId, user] of Object.entries(users || {})) {
+    for (const itemType of types) {
+      for (const item of user[`${itemType}s`] || []) {
+        if (category && item.category !== category) continue;
+        const description = (item.description || '').toLowerCase();
+        if (terms.every((term) => description.includes(term)) && filter(item)) {
+          results.push({ userId, type: itemType, item });
+        }
+      }
+    }
+  }
+  return _.orderBy(results, [({ item }) => item.updatedAt || item.createdAt || ''], ['desc']);
+}
+
+/**
+ * Move results owned by the given user to the front, keeping the rest of the order.
+ *
+ * @param {Array<{userId: string}>} results - Results from `searchItems`.
+ * @param {number|string} userId - Telegram ID of the user whose items go first.
+ * @returns {Array<{userId: string}>} Reordered results.
+ */
+export function prioritizeOwner(results, userId) {
+  const [own, others] = _.partition(results, (result) => String(result.userId) === String(userId));
+  return [...own, ...others];
+}
+
+/**
+ * Slice results into a page.
+ *
+ * @param {Array} items - All results.
+ * @param {number} page - Zero-based page index (clamped to the valid range).
+ * @param {number} [pageSize=5] - Items per page.
+ * @returns {{items: Array, page: number, pages: number}} Page slice with its index and total page count.
+ */
+export function paginate(items, page, pageSize = 5) {
+  const pages = Math.max(1, Math.ceil(items.length / pageSize));
+  const current = _.clamp(page, 0, pages - 1);
+  return {
+    items: items.slice(current * pageSize, (current + 1) * pageSize),
+    page: current,
+    pages,
+  };
+}
@@ -0,0 +1,94 @@
+import assert from 'assert';
+import { describe, it } from 'node:test';
+import { parseSearchQuery, searchItems, prioritizeOwner, paginate } from './search.js';
+
+describe('search', () => {
+  describe('parseSearchQuery', () => {
+    it('parses terms without type filter', () => {
+      assert.deepStrictEqual(parseSearchQuery('Bicycle helmet'), { type: null, category: null, terms: ['bicycl', 'helmet'] });
+    });
+
+    it('recognizes give/get type keywords', () => {
+      assert.deepStrictEqual(parseSearchQuery('give bicycle'), { type: 'resource', category: null, terms: ['bicycl'] });
+      assert.deepStrictEqual(parseSearchQuery('get sofa'), { type: 'need', category: null, terms: ['sofa'] });
+    });
+
+    it('recognizes legacy need/resource keywords', () => {
+      assert.strictEqual(parseSearchQuery('resource sofa').type, 'resource');
+      assert.strictEqual(parseSearchQuery('need sofa').type, 'need');
+    });
+
+    it('recognizes known #category words', () => {
+      assert.deepStrictEqual(
+        parseSearchQuery('give #transport bicycle #red', ['transport']),
+        { type: 'resource', category: 'transport', terms: ['bicycl', '#red'] }
+      );
+    });
+
+    it('returns empty terms for empty payload', () => {
+      assert.deepStrictEqual(parseSearchQuery(''), { type: null, category: null, terms: [] });
+      assert.deepStrictEqual(parseSearchQuery(undefined), { type: null, category: null, terms: [] });
+    });
+  });
+
+  describe('searchItems', () => {
+    const users = {
+      1: {
+        needs: [{ guid: 'n1', description: 'Need a bicycle', updatedAt: '2024-01-03T00:00:00.000Z' }],
+        resources: [{ guid: 'r1', description: 'Sofa', updatedAt: '2024-01-01T00:00:00.000Z' }],
+      },
+      2: {
+        needs: [],
+        resources: [{ guid: 'r2', description: 'Old bicycles and helmet', category: 'transport', updatedAt: '2024-01-02T00:00:00.000Z' }],
+      },
+    };
+
+    it('finds items across users sorted by updatedAt', () => {
+      const results = searchItems({ users, terms: ['bicycl'] });
+      assert.deepStrictEqual(results.map((r) => r.item.guid), ['n1', 'r2']);
+      assert.deepStrictEqual(results.map((r) => r.type), ['need', 'resource']);
+      assert.deepStrictEqual(results.map((r) => r.userId), ['1', '2']);
+    });
+
+    it('requires all terms to match', () => {
+      const results = searchItems({ users, terms: ['bicycl', 'helmet'] });
+      assert.deepStrictEqual(results.map((r) => r.item.guid), ['r2']);
+    });
+
+    it('filters by type', () => {
+      const results = searchItems({ users, terms: ['bicycl'], type: 'resource' });
+      assert.deepStrictEqual(results.map((r) => r.item.guid), ['r2']);
+    });
+
+    it('filters by category', () => {
+      const results = searchItems({ users, terms: [], category: 'transport' });
+      assert.deepStrictEqual(results.map((r) => r.item.guid), ['r2']);
+    });
+
+    it('applies extra filter', () => {
+      const results = searchItems({ users, terms: [], filter: (item) => item.guid !== 'r1' });
+      assert.deepStrictEqual(results.map((r) => r.item.guid), ['n1', 'r2']);
+    });
+  });
+
+  describe('prioritizeOwner', () => {
+    it('moves own results first keeping relative order', () => {
+      const results = [{ userId: '1', id: 'a' }, { userId: '2', id: 'b' }, { userId: '1', id: 'c' }, { userId: '3', id: 'd' }];
+      assert.deepStrictEqual(prioritizeOwner(results, 3).map((r) => r.id), ['d', 'a', 'b', 'c']);
+      assert.deepStrictEqual(prioritizeOwner(results, '1').map((r) => r.id), ['a', 'c', 'b', 'd']);
+    });
+  });
+
+  describe('paginate', () => {
+    const items = [1, 2, 3, 4, 5, 6, 7];
+
+    it('returns requested page', () => {
+      assert.deepStrictEqual(paginate(items, 1, 3), { items: [4, 5, 6], page: 1, pages: 3 });
+    });
+
+    it('clamps page index', () => {
+      assert.deepStrictEqual(paginate(items, 10, 3), { items: [7], page: 2, pages: 3 });
+      assert.deepStrictEqual(paginate([], 0, 3), { items: [], page: 0, pages: 1 });
+    });
+  });
+});
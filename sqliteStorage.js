@@ -0,0 +1,260 @@
+const ITEM_FIELDS = { need: 'needs', resource: 'resources' };
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS users (
+    id TEXT PRIMARY KEY,
+    data TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS items (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id TEXT NOT NULL,
+    type TEXT NOT NULL,
+    position INTEGER NOT NULL,
+    guid TEXT,
+    channel_message_id INTEGER,
+    status TEXT,
+    category TEXT,
+    description TEXT,
+    created_at TEXT,
+    updated_at TEXT,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS items_user ON items (user_id, type, position);
+  CREATE INDEX IF NOT EXISTS items_guid ON items (guid);
+  CREATE INDEX IF NOT EXISTS items_channel_message ON items (channel_message_id);
+  CREATE INDEX IF NOT EXISTS items_updated ON items (type, status, updated_at);
+  CREATE TABLE IF NOT EXISTS meta (
+    key TEXT PRIMARY KEY,
+    data TEXT NOT NULL
+  );
+`;
+
+/**
+ * SQLite-backed storage with the same contract as the JSON `Storage`.
+ *
+ * Data is loaded into `db.data` once (same shape as `db.json`) and this instance
+ * is the only writer, so `readDB` does not reload it. `writeDB` persists only users
+ * and top-level keys that changed since the last write, in a single transaction.
+ * Items are also stored in indexed columns for per-item queries.
+ */
+class SqliteStorage {
+  constructor({ filename = 'db.sqlite' } = {}) {
+    this.filename = filename;
+    this.db = { data: null };
+    // Serialized state as of the last read/write, used to detect changes
+    this.snapshots = { users: {}, meta: {} };
+    // Updates are chained so that only one runs at a time
+    this.queue = Promise.resolve();
+  }
+
+  async initDB() {
+    // Loaded lazily so the JSON backend works without the native module installed
+    const { default: Database } = await import('better-sqlite3');
+    this.sqlite = new Database(this.filename);
+    this.sqlite.pragma('journal_mode = WAL');
+    this.sqlite.exec(SCHEMA);
+    this.load();
+    this.db.data.matches ||= {};
+    await this.writeDB();
+  }
+
+  load() {
+    const data = { users: {} };
+    const snapshots = { users: {}, meta: {} };
+    // User rows hold every field except items, with empty arrays in place of item collections
+    for (const { id, data: json } of this.sqlite.prepare('SELECT id, data FROM users').all()) {
+      data.users[id] = JSON.parse(json);
+    }
+    const items = this.sqlite.prepare('SELECT user_id, type, data FROM items ORDER BY user_id, type, position').all();
+    for (const { user_id: userId, type, data: json } of items) {
+      data.users[userId] ||= { needs: [], resources: [] };
+      (data.users[userId][ITEM_FIELDS[type]] ||= []).push(JSON.parse(json));
+    }
+    for (const [id, user] of Object.entries(data.users)) {
+      snapshots.users[id] = JSON.stringify(user);
+    }
+    for (const { key, data: json } of this.sqlite.prepare('SELECT key, data FROM meta').all()) {
+      data[key] = JSON.parse(json);
+      snapshots.meta[key] = json;
+    }
+    this.db.data = data;
+    this.snapshots = snapshots;
+  }
+
+  async getUserData(userId) {
+    const id = String(userId);
+    if (!this.db.data.users[id]) {
+      this.db.data.users[id] = { needs: [], resources: [] };
+    }
+    return this.db.data.users[id];
+  }
+
+  async readDB() {
+    // In-memory data is authoritative: every change is written through this instance
+  }
+
+  async writeDB() {
+    const { users = {}, ...meta } = this.db.data;
+    const upsertUser = this.sqlite.prepare('INSERT OR REPLACE INTO users (id, data) VALUES (?, ?)');
+    const deleteUser = this.sqlite.prepare('DELETE FROM users WHERE id = ?');
+    const deleteItems = this.sqlite.prepare('DELETE FROM items WHERE user_id = ?');
+    const insertItem = this.sqlite.prepare(`
+      INSERT INTO items (user_id, type, position, guid, channel_message_id, status, category, description, created_at, updated_at, data)
+      VALUES (@userId, @type, @position, @guid, @channelMessageId, @status, @category, @description, @createdAt, @updatedAt, @data)
+    `);
+    const upsertMeta = this.sqlite.prepare('INSERT OR REPLACE INTO meta (key, data) VALUES (?, ?)');
+    const deleteMeta = this.sqlite.prepare('DELETE FROM meta WHERE key = ?');
+    const snapshots = { users: {}, meta: {} };
+    this.sqlite.transaction(() => {
+      for (const [id, user] of Object.entries(users)) {
+        const serialized = JSON.stringify(user);
+        snapshots.users[id] = serialized;
+        if (this.snapshots.users[id] === serialized) continue;
+        const shell = { ...user };
+        for (const field of Object.values(ITEM_FIELDS)) {
+          if (Array.isArray(user[field])) shell[field] = [];
+        }
+        upsertUser.run(id, JSON.stringify(shell));
+        deleteItems.run(id);
+        for (const [type, field] of Object.entries(ITEM_FIELDS)) {
+          if (!Array.isArray(user[field])) continue;
+          user[field].forEach((item, position) => {
+            insertItem.run({
+              userId: id,
+              type,
+              position,
+              guid: item.guid ?? null,
+              channelMessageId: Number.isInteger(item.channelMessageId) ? item.channelMessageId : null,
+              status: item.status ?? null,
+              category: item.category ?? null,
+              description: item.description ?? null,
+              createdAt: item.createdAt ?? null,
+              updatedAt: item.updatedAt ?? null,
+              data: JSON.stringify(item),
+            });
+          });
+        }
+      }
+      for (const id of Object.keys(this.snapshots.users)) {
+        if (!users[id]) {
+          deleteItems.run(id);
+          deleteUser.run(id);
+        }
+      }
+      for (const [key, value] of Object.entries(meta)) {
+        if (value === undefined) continue;
+        const serialized = JSON.stringify(value);
+        snapshots.meta[key] = serialized;
+        if (this.snapshots.meta[key] !== serialized) upsertMeta.run(key, serialized);
+      }
+      for (const key of Object.keys(this.snapshots.meta)) {
+        if (!(key in snapshots.meta)) deleteMeta.run(key);
+      }
+    })();
+    this.snapshots = snapshots;
+  }
+
+  /**
+   * Atomically update one user, see `Storage#update`. This instance is the only
+   * writer, so there are no conflicts; changes of a failed `fn` are discarded, which
+   * is why `fn` must not make network calls whose effects can't be undone.
+   *
+   * @param {number|string} userId - Telegram ID of the user.
+   * @param {function(Object, Object): *} fn - Receives the user and the whole database data.
+   * @returns {Promise<*>} Value returned by `fn`.
+   */
+  update(userId, fn) {
+    return this.updateData(async (data) => {
+      const user = await this.getUserData(userId);
+      return fn(user, data);
+    });
+  }
+
+  /**
+   * Atomically update the whole database, see `Storage#updateData`.
+   *
+   * @param {function(Object): *} fn - Receives the database data and may mutate it.
+   * @returns {Promise<*>} Value returned by `fn`.
+   */
+  updateData(fn) {
+    const run = this.queue.then(async () => {
+      try {
+        const result = await fn(this.db.data);
+        await this.writeDB();
+        return result;
+      } catch (err) {
+        // Drop partial changes by reloading the last written state
+        this.load();
+        throw err;
+      }
+    });
+    // Keep the queue going after a failed update, the caller handles the error
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Find a stored item by its guid.
+   *
+   * @param {string} guid
+   * @returns {{userId: string, type: string, item: Object}|null}
+   */
+  getItemByGuid(guid) {
+    const row = this.sqlite.prepare('SELECT user_id, type, data FROM items WHERE guid = ?').get(guid);
+    return row ? { userId: row.user_id, type: row.type, item: JSON.parse(row.data) } : null;
+  }
+
+  /**
+   * Find a stored item by the id of its channel post.
+   *
+   * @param {number} channelMessageId
+   * @returns {{userId: string, type: string, item: Object}|null}
+   */
+  getItemByChannelMessageId(channelMessageId) {
+    const row = this.sqlite.prepare('SELECT user_id, type, data FROM items WHERE channel_message_id = ?').get(channelMessageId);
+    return row ? { userId: row.user_id, type: row.type, item: JSON.parse(row.data) } : null;
+  }
+
+  /**
+   * Query stored items, newest first.
+   *
+   * @param {Object} [options]
+   * @param {'need'|'resource'} [options.type] - Restrict to one item type.
+   * @param {number|string} [options.userId] - Restrict to one owner.
+   * @param {string} [options.status] - Restrict to one status (items without status are open).
+   * @param {string} [options.category] - Restrict to one category.
+   * @param {number} [options.limit=50] - Max number of items.
+   * @returns {Array<{userId: string, type: string, item: Object}>}
+   */
+  queryItems({ type, userId, status, category, limit = 50 } = {}) {
+    const conditions = [];
+    const params = { limit };
+    if (type) {
+      conditions.push('type = @type');
+      params.type = type;
+    }
+    if (userId !== undefined) {
+      conditions.push('user_id = @userId');
+      params.userId = String(userId);
+    }
+    if (status) {
+      conditions.push("COALESCE(status, 'open') = @status");
+      params.status = status;
+    }
+    if (category) {
+      conditions.push('category = @category');
+      params.category = category;
+    }
+    const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+    const rows = this.sqlite
+      .prepare(`SELECT user_id, type, data FROM items ${where} ORDER BY COALESCE(updated_at, created_at) DESC LIMIT @limit`)
+      .all(params);
+    return rows.map((row) => ({ userId: row.user_id, type: row.type, item: JSON.parse(row.data) }));
+  }
+
+  close() {
+    this.sqlite?.close();
+  }
+}
+
+export default SqliteStorage;
@@ -0,0 +1,132 @@
+import assert from 'assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { describe, it, before, after } from 'node:test';
+import SqliteStorage from './sqliteStorage.js';
+import { migrateJsonToSqlite } from './migrateJsonToSqlite.js';
+
+let sqliteAvailable = true;
+try {
+  await import('better-sqlite3');
+} catch {
+  sqliteAvailable = false;
+}
+
+const sampleData = () => ({
+  users: {
+    1: {
+      id: 1,
+      username: 'alice',
+      needs: [
+        { guid: 'n1', description: 'Apples', channelMessageId: 10, createdAt: '2024-01-01T00:00:00.000Z', updatedAt: '2024-01-03T00:00:00.000Z' },
+        { guid: 'n2', description: 'Chair', channelMessageId: 11, category: 'furniture', status: 'closed', createdAt: '2024-01-02T00:00:00.000Z' },
+      ],
+      resources: [],
+    },
+    2: {
+      needs: [],
+      resources: [{ guid: 'r1', description: 'Bike', channelMessageId: 12, category: 'transport', createdAt: '2024-01-04T00:00:00.000Z' }],
+    },
+  },
+  matches: { 'n1:r1': { needGuid: 'n1', resourceGuid: 'r1', score: 1 } },
+});
+
+describe('SqliteStorage', { skip: !sqliteAvailable && 'better-sqlite3 is not installed' }, () => {
+  let dir;
+  const open = async (name = 'db.sqlite') => {
+    const storage = new SqliteStorage({ filename: path.join(dir, name) });
+    await storage.initDB();
+    return storage;
+  };
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sqlite-storage-'));
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('persists data losslessly across instances', async () => {
+    const storage = await open('roundtrip.sqlite');
+    storage.db.data = sampleData();
+    await storage.writeDB();
+    storage.close();
+
+    const reopened = await open('roundtrip.sqlite');
+    assert.deepStrictEqual(reopened.db.data, sampleData());
+    reopened.close();
+  });
+
+  it('writes changes made through getUserData', async () => {
+    const storage = await open('changes.sqlite');
+    const user = await storage.getUserData(5);
+    user.needs.push({ guid: 'n5', description: 'Soup' });
+    await storage.writeDB();
+    user.needs[0].description = 'Hot soup';
+    await storage.writeDB();
+    storage.close();
+
+    const reopened = await open('changes.sqlite');
+    assert.deepStrictEqual(reopened.db.data.users['5'], { needs: [{ guid: 'n5', description: 'Hot soup' }], resources: [] });
+    reopened.close();
+  });
+
+  it('removes deleted users and items', async () => {
+    const storage = await open('delete.sqlite');
+    storage.db.data = sampleData();
+    await storage.writeDB();
+    delete storage.db.data.users['2'];
+    storage.db.data.users['1'].needs.pop();
+    await storage.writeDB();
+    assert.strictEqual(storage.getItemByGuid('r1'), null);
+    assert.strictEqual(storage.getItemByGuid('n2'), null);
+    storage.close();
+  });
+
+  it('queries items by guid, channel message and filters', async () => {
+    const storage = await open('query.sqlite');
+    storage.db.data = sampleData();
+    await storage.writeDB();
+
+    assert.deepStrictEqual(storage.getItemByGuid('r1'), { userId: '2', type: 'resource', item: sampleData().users[2].resources[0] });
+    assert.strictEqual(storage.getItemByChannelMessageId(11).item.guid, 'n2');
+    assert.deepStrictEqual(storage.queryItems().map((r) => r.item.guid), ['r1', 'n1', 'n2']);
+    assert.deepStrictEqual(storage.queryItems({ type: 'need', status: 'open' }).map((r) => r.item.guid), ['n1']);
+    assert.deepStrictEqual(storage.queryItems({ userId: 1, category: 'furniture' }).map((r) => r.item.guid), ['n2']);
+    storage.close();
+  });
+
+  it('serializes updates and discards failed ones', async () => {
+    const storage = await open('update.sqlite');
+    await Promise.all([1, 2, 1].map((userId, i) => storage.update(userId, async (user) => {
+      await new Promise((resolve) => setTimeout(resolve, 5));
+      user.needs.push({ guid: `n${i}` });
+    })));
+    await assert.rejects(storage.update(1, (user) => {
+      user.needs.push({ guid: 'lost' });
+      throw new Error('boom');
+    }), /boom/);
+    storage.close();
+
+    const reopened = await open('update.sqlite');
+    assert.deepStrictEqual(reopened.db.data.users['1'].needs.map((item) => item.guid), ['n0', 'n2']);
+    assert.deepStrictEqual(reopened.db.data.users['2'].needs.map((item) => item.guid), ['n1']);
+    reopened.close();
+  });
+
+  it('imports db.json and refuses to overwrite existing data', async () => {
+    const jsonPath = path.join(dir, 'db.json');
+    const sqlitePath = path.join(dir, 'imported.sqlite');
+    fs.writeFileSync(jsonPath, JSON.stringify(sampleData()));
+
+    const counts = await migrateJsonToSqlite({ jsonPath, sqlitePath });
+    assert.deepStrictEqual(counts, { users: 2, needs: 2, resources: 1 });
+    await assert.rejects(migrateJsonToSqlite({ jsonPath, sqlitePath }), /already contains users/);
+
+    const imported = await open('imported.sqlite');
+    assert.deepStrictEqual(imported.db.data, sampleData());
+    imported.close();
+  });
+});
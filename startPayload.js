@@ -0,0 +1,25 @@
+// Payloads starting the creation of an item, the preferred command names and the legacy ones
+const CREATE_PAYLOADS = { get: 'need', give: 'resource', need: 'need', resource: 'resource' };
+
+/**
+ * Parse the payload of a `t.me/<bot>?start=<payload>` deep link.
+ *
+ * Supported payloads: `item_<guid>` (show an item), `report_<guid>` and `respond_<guid>`
+ * (channel post buttons), `get` / `give` (start creating a need or resource) and
+ * `ref_<userId>` (invited by another user).
+ *
+ * @param {string} [payload] - Deep link payload (`ctx.payload` of /start).
+ * @returns {Object|null} `{action, guid}`, `{action: 'create', type}`, `{action: 'ref', userId}`,
+ *   `{action: 'invalid'}` for unknown payloads, or null when there is no payload.
+ */
+export function parseStartPayload(payload) {
+  const value = (payload || '').trim();
+  if (!value) return null;
+  const type = CREATE_PAYLOADS[value.toLowerCase()];
+  if (type) return { action: 'create', type };
+  const itemMatch = /^(item|report|respond)_([\w-]+)$/.exec(value);
+  if (itemMatch) return { action: itemMatch[1], guid: itemMatch[2] };
+  const refMatch = /^ref_(\d+)$/.exec(value);
+  if (refMatch) return { action: 'ref', userId: refMatch[1] };
+  return { action: 'invalid' };
+}
@@ -0,0 +1,31 @@
+import assert from 'assert';
+import { describe, it } from 'node:test';
+import { parseStartPayload } from './startPayload.js';
+
+describe('parseStartPayload', () => {
+  const guid = '01890f2e-8b3a-7cc1-9a2b-3c4d5e6f7a8b';
+
+  it('parses item, report and respond links', () => {
+    assert.deepStrictEqual(parseStartPayload(`item_${guid}`), { action: 'item', guid });
+    assert.deepStrictEqual(parseStartPayload(`report_${guid}`), { action: 'report', guid });
+    assert.deepStrictEqual(parseStartPayload(`respond_${guid}`), { action: 'respond', guid });
+  });
+
+  it('parses creation links including legacy type names', () => {
+    assert.deepStrictEqual(parseStartPayload('get'), { action: 'create', type: 'need' });
+    assert.deepStrictEqual(parseStartPayload('GIVE'), { action: 'create', type: 'resource' });
+    assert.deepStrictEqual(parseStartPayload('need'), { action: 'create', type: 'need' });
+  });
+
+  it('parses referral links', () => {
+    assert.deepStrictEqual(parseStartPayload('ref_123456789'), { action: 'ref', userId: '123456789' });
+    assert.deepStrictEqual(parseStartPayload('ref_bob'), { action: 'invalid' });
+  });
+
+  it('returns null without a payload and marks unknown payloads invalid', () => {
+    assert.strictEqual(parseStartPayload(''), null);
+    assert.strictEqual(parseStartPayload(undefined), null);
+    assert.deepStrictEqual(parseStartPayload('item_'), { action: 'invalid' });
+    assert.deepStrictEqual(parseStartPayload('hello'), { action: 'invalid' });
+  });
+});
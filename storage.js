@@ -1,15 +1,62 @@
-import { Low, JSONFile } from 'lowdb';
+import fs from 'fs';
+import { Low } from 'lowdb';
+import SqliteStorage from './sqliteStorage.js';
+
+/**
+ * Error thrown when the database file was changed by another writer while an update
+ * was in progress and both changed the same data, so the update was not written.
+ */
+export class StorageConflictError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'StorageConflictError';
+  }
+}
+
+// JSON file adapter writing to a temp file and renaming it, so readers never see a partial file
+class AtomicJSONFile {
+  constructor(filename) {
+    this.filename = filename;
+  }
+
+  async readText() {
+    try {
+      return await fs.promises.readFile(this.filename, 'utf8');
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw err;
+    }
+  }
+
+  async read() {
+    const text = await this.readText();
+    return text === null ? null : JSON.parse(text);
+  }
+
+  async writeText(text) {
+    const tmp = `${this.filename}.tmp`;
+    await fs.promises.writeFile(tmp, text);
+    await fs.promises.rename(tmp, this.filename);
+  }
+
+  write(data) {
+    return this.writeText(JSON.stringify(data, null, 2));
+  }
+}
 
 class Storage {
-  constructor() {
-    this.adapter = new JSONFile('db.json');
+  constructor({ filename = 'db.json' } = {}) {
+    this.adapter = new AtomicJSONFile(filename);
     this.db = new Low(this.adapter);
+    // Writes are chained so that only one runs at a time
+    this.queue = Promise.resolve();
   }
 
   async initDB() {
-    await this.db.read();
-    this.db.data ||= { users: {} };
-    await this.db.write();
+    await this.updateData((data) => {
+      // Announced need-resource pairs, keyed by `${needGuid}:${resourceGuid}`
+      data.matches ||= {};
+    });
   }
 
   async getUserData(userId) {
@@ -28,8 +75,92 @@ class Storage {
   }
 
   async writeDB() {
-    await this.db.write();
+    await this.enqueue(() => this.db.write());
+  }
+
+  /**
+   * Atomically update one user: `fn` gets the user freshly read from disk and may
+   * mutate it; the result is written once `fn` resolves.
+   * Updates run one at a time, so `fn` must not call `update` itself, and should not wait
+   * on network calls: make them before or after the update and store their results in
+   * another one.
+   *
+   * @param {number|string} userId - Telegram ID of the user.
+   * @param {function(Object, Object): *} fn - Receives the user and the whole database data.
+   *   Only the user may be changed.
+   * @returns {Promise<*>} Value returned by `fn`.
+   * @throws {StorageConflictError} When another writer changed the same user meanwhile.
+   */
+  update(userId, fn) {
+    const id = String(userId);
+    return this.enqueue(() => this.transact((data) => {
+      data.users[id] ||= { needs: [], resources: [] };
+      return fn(data.users[id], data);
+    }, id));
+  }
+
+  /**
+   * Atomically update the whole database (e.g. data shared between users).
+   *
+   * @param {function(Object): *} fn - Receives the database data and may mutate it.
+   * @returns {Promise<*>} Value returned by `fn`.
+   * @throws {StorageConflictError} When another writer changed the file meanwhile.
+   */
+  updateData(fn) {
+    return this.enqueue(() => this.transact(fn));
+  }
+
+  enqueue(task) {
+    const run = this.queue.then(task);
+    // Keep the queue going after a failed task, the caller handles the error
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  async transact(fn, userId = null) {
+    const text = await this.adapter.readText();
+    let data = text === null ? {} : JSON.parse(text);
+    data.users ||= {};
+    const userBefore = userId && JSON.stringify(data.users[userId]);
+    const result = await fn(data);
+    let next = JSON.stringify(data, null, 2);
+    if (next !== text) {
+      // Another process (or a direct file edit) may have written while fn was running
+      const latest = await this.adapter.readText();
+      if (latest !== text) {
+        const fresh = latest === null ? {} : JSON.parse(latest);
+        fresh.users ||= {};
+        if (!userId || JSON.stringify(fresh.users[userId]) !== userBefore) {
+          throw new StorageConflictError(
+            userId ? `User ${userId} was changed by another writer, update discarded` : 'Database was changed by another writer, update discarded'
+          );
+        }
+        // Only other users changed, keep their changes and apply ours on top
+        console.warn(`Storage: merged update of user ${userId} with concurrent changes of other users`);
+        fresh.users[userId] = data.users[userId];
+        data = fresh;
+        next = JSON.stringify(data, null, 2);
+      }
+      await this.adapter.writeText(next);
+    }
+    this.db.data = data;
+    return result;
+  }
+}
+
+/**
+ * Create the storage backend selected by the `STORAGE_BACKEND` env var.
+ *
+ * @param {Object} [options]
+ * @param {'json'|'sqlite'} [options.backend=process.env.STORAGE_BACKEND] - Backend name, JSON by default.
+ * @param {string} [options.sqlitePath=process.env.SQLITE_PATH] - SQLite database file.
+ * @returns {Storage|SqliteStorage} Storage instance (call `initDB` before use).
+ */
+export function createStorage({ backend = process.env.STORAGE_BACKEND, sqlitePath = process.env.SQLITE_PATH } = {}) {
+  if (backend === 'sqlite') {
+    return new SqliteStorage({ filename: sqlitePath || 'db.sqlite' });
   }
+  return new Storage();
 }
 
 export default Storage;
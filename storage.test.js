@@ -0,0 +1,92 @@
+import assert from 'assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { describe, it, before, after } from 'node:test';
+import Storage, { StorageConflictError } from './storage.js';
+
+describe('Storage', () => {
+  let dir;
+  let counter = 0;
+  const open = async () => {
+    const filename = path.join(dir, `db${++counter}.json`);
+    const storage = new Storage({ filename });
+    await storage.initDB();
+    return { storage, filename };
+  };
+  const readFile = (filename) => JSON.parse(fs.readFileSync(filename, 'utf8'));
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-'));
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('keeps all concurrent updates', async () => {
+    const { storage, filename } = await open();
+    await Promise.all([1, 2, 1, 2].map((userId, i) => storage.update(userId, async (user) => {
+      await new Promise((resolve) => setTimeout(resolve, 5));
+      user.needs.push({ guid: `n${i}` });
+    })));
+    const { users } = readFile(filename);
+    assert.deepStrictEqual(users['1'].needs.map((item) => item.guid), ['n0', 'n2']);
+    assert.deepStrictEqual(users['2'].needs.map((item) => item.guid), ['n1', 'n3']);
+    assert.deepStrictEqual(fs.readdirSync(dir).filter((name) => name.endsWith('.tmp')), []);
+  });
+
+  it('returns result of the update and refreshes db.data', async () => {
+    const { storage } = await open();
+    const result = await storage.update(1, (user) => {
+      user.lastSearch = { query: 'bike' };
+      return 'done';
+    });
+    assert.strictEqual(result, 'done');
+    assert.deepStrictEqual(storage.db.data.users['1'].lastSearch, { query: 'bike' });
+  });
+
+  it('does not write failed updates', async () => {
+    const { storage, filename } = await open();
+    await assert.rejects(storage.update(1, (user) => {
+      user.needs.push({ guid: 'lost' });
+      throw new Error('boom');
+    }), /boom/);
+    assert.strictEqual(readFile(filename).users['1'], undefined);
+    // Queue keeps working after a failure
+    await storage.update(1, (user) => user.needs.push({ guid: 'kept' }));
+    assert.strictEqual(readFile(filename).users['1'].needs[0].guid, 'kept');
+  });
+
+  it('merges concurrent external changes of other users', async () => {
+    const { storage, filename } = await open();
+    await storage.update(1, (user) => {
+      const data = readFile(filename);
+      data.users['2'] = { needs: [{ guid: 'external' }], resources: [] };
+      fs.writeFileSync(filename, JSON.stringify(data));
+      user.needs.push({ guid: 'ours' });
+    });
+    const { users } = readFile(filename);
+    assert.strictEqual(users['1'].needs[0].guid, 'ours');
+    assert.strictEqual(users['2'].needs[0].guid, 'external');
+  });
+
+  it('reports conflicting external changes of the same user', async () => {
+    const { storage, filename } = await open();
+    await assert.rejects(storage.update(1, (user) => {
+      const data = readFile(filename);
+      data.users['1'] = { needs: [{ guid: 'external' }], resources: [] };
+      fs.writeFileSync(filename, JSON.stringify(data));
+      user.needs.push({ guid: 'ours' });
+    }), StorageConflictError);
+    assert.strictEqual(readFile(filename).users['1'].needs[0].guid, 'external');
+  });
+
+  it('updates shared data', async () => {
+    const { storage, filename } = await open();
+    await storage.updateData((data) => {
+      data.matches['n1:r1'] = { needGuid: 'n1', resourceGuid: 'r1' };
+    });
+    assert.deepStrictEqual(readFile(filename).matches, { 'n1:r1': { needGuid: 'n1', resourceGuid: 'r1' } });
+  });
+});
@@ -0,0 +1,54 @@
+/**
+ * Tracks updates being handled so shutdown can wait for them before stopping the bot.
+ */
+class UpdateTracker {
+  constructor() {
+    this.pending = new Set();
+  }
+
+  /**
+   * Number of updates being handled.
+   *
+   * @returns {number}
+   */
+  get size() {
+    return this.pending.size;
+  }
+
+  /**
+   * Track the handling of an update until it settles.
+   *
+   * @param {Promise} promise - Handling of the update.
+   * @returns {Promise} The same promise.
+   */
+  track(promise) {
+    this.pending.add(promise);
+    const forget = () => this.pending.delete(promise);
+    promise.then(forget, forget);
+    return promise;
+  }
+
+  /**
+   * Wait until all tracked updates settle, including ones started meanwhile.
+   *
+   * @param {number} timeoutMs - Give up waiting after this time.
+   * @returns {Promise<boolean>} Whether all updates settled in time.
+   */
+  async drain(timeoutMs) {
+    let timer;
+    const timeout = new Promise((resolve) => {
+      timer = setTimeout(() => resolve(false), timeoutMs);
+    });
+    const settle = async () => {
+      while (this.pending.size) await Promise.allSettled([...this.pending]);
+      return true;
+    };
+    try {
+      return await Promise.race([settle(), timeout]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+}
+
+export default UpdateTracker;
@@ -0,0 +1,33 @@
+import assert from 'assert';
+import { describe, it } from 'node:test';
+import UpdateTracker from './updateTracker.js';
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe('UpdateTracker', () => {
+  it('forgets settled updates, including failed ones', async () => {
+    const tracker = new UpdateTracker();
+    const failed = tracker.track(Promise.reject(new Error('boom')));
+    await assert.rejects(failed);
+    await tracker.track(delay(1));
+    assert.strictEqual(tracker.size, 0);
+  });
+
+  it('drains updates started while draining', async () => {
+    const tracker = new UpdateTracker();
+    const handled = [];
+    tracker.track(delay(10).then(() => {
+      handled.push(1);
+      tracker.track(delay(10).then(() => handled.push(2)));
+    }));
+    assert.strictEqual(await tracker.drain(1000), true);
+    assert.deepStrictEqual(handled, [1, 2]);
+  });
+
+  it('gives up after the timeout', async () => {
+    const tracker = new UpdateTracker();
+    tracker.track(delay(100));
+    assert.strictEqual(await tracker.drain(10), false);
+    assert.strictEqual(tracker.size, 1);
+  });
+});
@@ -0,0 +1,120 @@
+import crypto from 'crypto';
+
+// Characters Telegram allows in a webhook secret token
+const SECRET_TOKEN_PATTERN = /^[\w-]{1,256}$/;
+
+/**
+ * Read webhook mode settings from environment variables. Webhook mode is enabled by
+ * `WEBHOOK_URL`, the public https URL of the bot; `WEBHOOK_PATH` (default: the path of
+ * `WEBHOOK_URL` or `/telegram`), `WEBHOOK_PORT` (default `PORT` or 8080) and
+ * `WEBHOOK_SECRET_TOKEN` (random per start by default) are optional.
+ *
+ * @param {Object} env - Environment variables.
+ * @returns {{domain: string, path: string, port: number, secretToken: string}|null} Settings, null for polling.
+ * @throws {Error} When the secret token has characters Telegram doesn't accept.
+ */
+export function parseWebhookConfig(env) {
+  if (!env.WEBHOOK_URL) return null;
+  const url = new URL(env.WEBHOOK_URL);
+  const path = env.WEBHOOK_PATH || (url.pathname !== '/' ? url.pathname : '/telegram');
+  const secretToken = env.WEBHOOK_SECRET_TOKEN || crypto.randomBytes(32).toString('hex');
+  if (!SECRET_TOKEN_PATTERN.test(secretToken)) {
+    throw new Error('WEBHOOK_SECRET_TOKEN may only contain A-Z, a-z, 0-9, _ and - (up to 256 characters)');
+  }
+  return {
+    domain: url.host,
+    path: path.startsWith('/') ? path : `/${path}`,
+    port: Number(env.WEBHOOK_PORT || env.PORT) || 8080,
+    secretToken
+  };
+}
+
+/**
+ * Run health checks in parallel, each limited to `timeoutMs`.
+ *
+ * @param {Object<string, function(): Promise>} checks - Checks by name, rejecting when unhealthy.
+ * @param {Object} [options]
+ * @param {number} [options.timeoutMs=5000] - Time after which a check counts as failed.
+ * @returns {Promise<{ok: boolean, checks: Object<string, string>}>} `'ok'` or the error of each check.
+ */
+export async function runHealthChecks(checks, { timeoutMs = 5000 } = {}) {
+  const results = await Promise.all(Object.entries(checks).map(async ([name, check]) => {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error(`timed out after ${timeoutMs} ms`)), timeoutMs);
+    });
+    try {
+      await Promise.race([check(), timeout]);
+      return [name, 'ok'];
+    } catch (err) {
+      return [name, err.message || String(err)];
+    } finally {
+      clearTimeout(timer);
+    }
+  }));
+  return { ok: results.every(([, result]) => result === 'ok'), checks: Object.fromEntries(results) };
+}
+
+/**
+ * Share the result of a health check for `ttlMs`, so frequent probes (health
+ * endpoints are public) don't turn into a request to Telegram each.
+ *
+ * @param {function(): Promise} check - Check rejecting when unhealthy.
+ * @param {number} ttlMs - How long a result is reused, failures included.
+ * @returns {function(): Promise} Cached check.
+ */
+export function cacheHealthCheck(check, ttlMs) {
+  let cached = null;
+  let checkedAt = 0;
+  return () => {
+    if (!cached || Date.now() - checkedAt >= ttlMs) {
+      checkedAt = Date.now();
+      cached = Promise.resolve().then(check);
+      // Avoid unhandled rejections of results nobody asks for again
+      cached.catch(() => {});
+    }
+    return cached;
+  };
+}
+
+// Reply with a JSON body
+function sendJson(res, statusCode, body) {
+  res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Build the HTTP handler for requests that are not valid webhook updates:
+ * `GET /healthz` reports the checks and answers 200 while the process runs,
+ * `GET /readyz` answers 503 when a check fails or the bot is shutting down,
+ * updates with a wrong secret token get 401 and anything else 404.
+ *
+ * @param {Object} options
+ * @param {string} options.webhookPath - Path receiving updates.
+ * @param {Object<string, function(): Promise>} options.checks - Checks, see `runHealthChecks`.
+ * @param {function(): boolean} options.isShuttingDown - Whether shutdown has started.
+ * @param {number} [options.timeoutMs] - Time limit of each check.
+ * @returns {function(Object, Object): Promise<void>} Node.js request handler.
+ */
+export function createHealthHandler({ webhookPath, checks, isShuttingDown, timeoutMs }) {
+  return async (req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    if (req.method === 'GET' && (pathname === '/healthz' || pathname === '/readyz')) {
+      const { ok, checks: results } = await runHealthChecks(checks, { timeoutMs });
+      if (pathname === '/healthz') {
+        sendJson(res, 200, { status: ok ? 'ok' : 'degraded', checks: results });
+        return;
+      }
+      const shuttingDown = isShuttingDown();
+      const status = shuttingDown ? 'shutting down' : ok ? 'ready' : 'not ready';
+      sendJson(res, ok && !shuttingDown ? 200 : 503, { status, checks: results });
+      return;
+    }
+    // Updates with a valid secret token are handled by the bot before reaching this handler
+    if (req.method === 'POST' && pathname === webhookPath) {
+      sendJson(res, 401, { error: 'invalid secret token' });
+      return;
+    }
+    sendJson(res, 404, { error: 'not found' });
+  };
+}
@@ -0,0 +1,100 @@
+import assert from 'assert';
+import http from 'http';
+import { describe, it } from 'node:test';
+import { parseWebhookConfig, runHealthChecks, cacheHealthCheck, createHealthHandler } from './webhook.js';
+
+describe('webhook', () => {
+  describe('parseWebhookConfig', () => {
+    it('is disabled without a public URL', () => {
+      assert.strictEqual(parseWebhookConfig({}), null);
+    });
+
+    it('reads the public URL, path, port and secret token', () => {
+      assert.deepStrictEqual(parseWebhookConfig({
+        WEBHOOK_URL: 'https://bot.example.com',
+        WEBHOOK_PATH: 'hook',
+        WEBHOOK_PORT: '3000',
+        WEBHOOK_SECRET_TOKEN: 'secret_1-2'
+      }), { domain: 'bot.example.com', path: '/hook', port: 3000, secretToken: 'secret_1-2' });
+    });
+
+    it('takes the path from the URL and generates a secret token', () => {
+      const config = parseWebhookConfig({ WEBHOOK_URL: 'https://bot.example.com/telegram/updates', PORT: '5000' });
+      assert.strictEqual(config.path, '/telegram/updates');
+      assert.strictEqual(config.port, 5000);
+      assert.match(config.secretToken, /^[0-9a-f]{64}$/);
+      assert.strictEqual(parseWebhookConfig({ WEBHOOK_URL: 'https://bot.example.com' }).path, '/telegram');
+    });
+
+    it('rejects secret tokens Telegram does not accept', () => {
+      assert.throws(() => parseWebhookConfig({ WEBHOOK_URL: 'https://bot.example.com', WEBHOOK_SECRET_TOKEN: 'no spaces' }));
+    });
+  });
+
+  describe('runHealthChecks', () => {
+    it('reports each check, including failures and timeouts', async () => {
+      const result = await runHealthChecks({
+        storage: async () => {},
+        telegram: async () => { throw new Error('ETIMEDOUT'); },
+        slow: () => new Promise((resolve) => setTimeout(resolve, 100))
+      }, { timeoutMs: 10 });
+      assert.deepStrictEqual(result, {
+        ok: false,
+        checks: { storage: 'ok', telegram: 'ETIMEDOUT', slow: 'timed out after 10 ms' }
+      });
+      assert.deepStrictEqual(await runHealthChecks({ storage: async () => {} }), { ok: true, checks: { storage: 'ok' } });
+    });
+  });
+
+  describe('cacheHealthCheck', () => {
+    it('reuses results, failures included, until they expire', async () => {
+      let calls = 0;
+      const check = cacheHealthCheck(async () => {
+        calls++;
+        if (calls === 1) throw new Error('ETIMEDOUT');
+      }, 20);
+      await assert.rejects(check(), /ETIMEDOUT/);
+      await assert.rejects(check(), /ETIMEDOUT/);
+      assert.strictEqual(calls, 1);
+      await new Promise((resolve) => setTimeout(resolve, 30));
+      await Promise.all([check(), check()]);
+      assert.strictEqual(calls, 2);
+    });
+  });
+
+  describe('createHealthHandler', () => {
+    async function request(handler, method, path) {
+      const server = http.createServer(handler);
+      await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+      try {
+        const response = await fetch(`http://127.0.0.1:${server.address().port}${path}`, { method });
+        return { status: response.status, body: await response.json() };
+      } finally {
+        server.close();
+      }
+    }
+
+    it('serves health and readiness', async () => {
+      let healthy = true;
+      let shuttingDown = false;
+      const handler = createHealthHandler({
+        webhookPath: '/telegram',
+        checks: { storage: async () => { if (!healthy) throw new Error('unreadable'); } },
+        isShuttingDown: () => shuttingDown
+      });
+      assert.deepStrictEqual(await request(handler, 'GET', '/readyz'), { status: 200, body: { status: 'ready', checks: { storage: 'ok' } } });
+      healthy = false;
+      assert.deepStrictEqual(await request(handler, 'GET', '/healthz'), { status: 200, body: { status: 'degraded', checks: { storage: 'unreadable' } } });
+      assert.strictEqual((await request(handler, 'GET', '/readyz')).status, 503);
+      healthy = true;
+      shuttingDown = true;
+      assert.deepStrictEqual(await request(handler, 'GET', '/readyz'), { status: 503, body: { status: 'shutting down', checks: { storage: 'ok' } } });
+    });
+
+    it('rejects updates with a wrong secret token and unknown paths', async () => {
+      const handler = createHealthHandler({ webhookPath: '/telegram', checks: {}, isShuttingDown: () => false });
+      assert.strictEqual((await request(handler, 'POST', '/telegram')).status, 401);
+      assert.strictEqual((await request(handler, 'GET', '/other')).status, 404);
+    });
+  });
+});